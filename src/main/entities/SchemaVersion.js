@@ -16,6 +16,42 @@ class SchemaVersion extends traits(Identifiable, SemanticallyVersionable) {
   @property()
   _locked
 
+  @property()
+  _lockAcquired // when the lock was acquired
+
+  @property()
+  _lockExpires // when the lock's lease expires unless renewed
+
+  @property()
+  _creating // whether the schema is being created, in which case it's incomplete until its version is committed
+
+  /**
+   * Locks this schema version with the given lock as a lease that expires after the given duration.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.lock The lock, identifying its holder.
+   * @param {number} arg0.leaseMillis The duration of the lease in milliseconds.
+   * @param {Date} [arg0.now] The current time.
+   * @return {SchemaVersion} This schema version.
+   */
+  withLease ({ lock, leaseMillis, now = new Date() }) {
+    this.locked = lock
+    this.lockAcquired = now
+    this.lockExpires = new Date(now.getTime() + leaseMillis)
+    return this
+  }
+
+  /**
+   * Whether this schema version is locked by a lease that has expired.
+   * Locks without an expiry, like those taken before locks were leases, never expire.
+   *
+   * @param {Date} [now] The current time.
+   * @return {boolean}
+   */
+  isLockExpired (now = new Date()) {
+    return Boolean(this.locked) && this.lockExpires instanceof Date && this.lockExpires.getTime() <= now.getTime()
+  }
+
   _testSetId (id) {
     if (typeof id !== 'string') throw new IllegalArgumentError({ message: 'type string required', info: { name: id } })
     if (!(id = id.trim())) { throw new IllegalArgumentError({ message: 'id required' }) }
@@ -3,13 +3,29 @@
 const { CodedError } = require('@ballistagroup/error-support')
 const MongoRepositoryError = CodedError({ name: 'MongoRepositoryError' })
 const MongooseRepositoryError = MongoRepositoryError.subclass({ name: 'MongooseRepositoryError' })
+const SchemaMigrationError = MongoRepositoryError.subclass({ name: 'SchemaMigrationError' })
 
 module.exports = {
   MongoRepositoryError,
   MongooseRepositoryError,
+  SchemaMigrationError,
+  BulkOperationError: MongoRepositoryError.subclass({ name: 'BulkOperationError' }),
+  DatastoreConnectionError: MongoRepositoryError.subclass({ name: 'DatastoreConnectionError' }),
+  DatastoreTimeoutError: MongoRepositoryError.subclass({ name: 'DatastoreTimeoutError' }),
+  DocumentValidationError: MongoRepositoryError.subclass({ name: 'DocumentValidationError' }),
+  DuplicateMigrationError: SchemaMigrationError.subclass({ name: 'DuplicateMigrationError' }),
+  IrreversibleMigrationError: SchemaMigrationError.subclass({ name: 'IrreversibleMigrationError' }),
+  MigrationChecksumError: SchemaMigrationError.subclass({ name: 'MigrationChecksumError' }),
+  MigrationFailedError: SchemaMigrationError.subclass({ name: 'MigrationFailedError' }),
   NonuniqueCriteriaError: MongoRepositoryError.subclass({ name: 'NonuniqueCriteriaError' }),
   ObjectNotFoundError: MongoRepositoryError.subclass({ name: 'ObjectNotFoundError' }),
   ObjectExistsError: MongoRepositoryError.subclass({ name: 'ObjectExistsError' }),
   OptimisticLockViolationError: MongoRepositoryError.subclass({ name: 'OptimisticLockViolationError' }),
-  UniqueKeyViolationError: MongoRepositoryError.subclass({ name: 'UniqueKeyViolationError' })
+  PrimaryUnavailableError: MongoRepositoryError.subclass({ name: 'PrimaryUnavailableError' }),
+  SchemaLockLostError: SchemaMigrationError.subclass({ name: 'SchemaLockLostError' }),
+  SchemaLockTimeoutError: SchemaMigrationError.subclass({ name: 'SchemaLockTimeoutError' }),
+  ValueCastError: MongooseRepositoryError.subclass({ name: 'ValueCastError' }),
+  UnauthorizedError: MongoRepositoryError.subclass({ name: 'UnauthorizedError' }),
+  UniqueKeyViolationError: MongoRepositoryError.subclass({ name: 'UniqueKeyViolationError' }),
+  WriteConflictError: MongoRepositoryError.subclass({ name: 'WriteConflictError' })
 }
@@ -1,5 +1,8 @@
 module.exports = {
   errors: require('./errors'),
+  instrumentation: require('./instrumentation'),
+  mapping: require('./mapping'),
+  migrations: require('./migrations'),
   repositories: require('./repositories'),
   traits: require('./traits'),
   entities: require('./entities')
@@ -0,0 +1,158 @@
+'use strict'
+
+/**
+ * The default upper bounds, in seconds, of the latency histogram buckets.
+ */
+const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])
+
+/**
+ * An in-process instrumentation listener that counts operations, errors & documents,
+ * and records latency histograms, per repository & operation.
+ * Read the metrics via {@link MetricsCollector#snapshot} or, in Prometheus text exposition format, via {@link MetricsCollector#toPrometheus}.
+ * ```
+ * const metrics = new MetricsCollector()
+ * class CustomerRepository extends traits(MongoRepository) {
+ *   _instrumentationListeners = [metrics]
+ * }
+ * app.get('/metrics', (req, res) => res.type('text/plain').send(metrics.toPrometheus()))
+ * ```
+ * @see Instrumented
+ */
+class MetricsCollector {
+  static DEFAULT_BUCKETS = DEFAULT_BUCKETS
+  static DEFAULT_PREFIX = 'repository'
+
+  /**
+   * @param {object} [arg0] The argument to be deconstructed.
+   * @param {number[]} [arg0.buckets] The ascending upper bounds, in seconds, of the latency histogram buckets.
+   * @param {string} [arg0.prefix] The prefix of the Prometheus metric names.
+   */
+  constructor ({ buckets = DEFAULT_BUCKETS, prefix = MetricsCollector.DEFAULT_PREFIX } = {}) {
+    this._buckets = [...buckets].sort((a, b) => a - b)
+    this._prefix = prefix
+    this.reset()
+  }
+
+  /**
+   * Discards all metrics collected.
+   */
+  reset () {
+    this._metrics = new Map()
+  }
+
+  after ({ repository, operation, durationMillis, count }) {
+    const metric = this._metricOf(repository, operation)
+    metric.calls++
+    metric.documents += count || 0
+    this._observe(metric, durationMillis)
+  }
+
+  error ({ repository, operation, durationMillis, error }) {
+    const metric = this._metricOf(repository, operation)
+    metric.calls++
+    const name = error?.name || 'Error'
+    metric.errors[name] = (metric.errors[name] || 0) + 1
+    this._observe(metric, durationMillis)
+  }
+
+  /**
+   * Returns a copy of the metrics collected, one entry per repository & operation, like
+   * `{ repository, operation, calls, errors: { [errorName]: count }, documents, latency: { count, sumSeconds, buckets: [{ le, count }] } }`,
+   * where the bucket counts are cumulative.
+   *
+   * @return {object[]}
+   */
+  snapshot () {
+    return [...this._metrics.values()].map(it => ({
+      repository: it.repository,
+      operation: it.operation,
+      calls: it.calls,
+      errors: { ...it.errors },
+      documents: it.documents,
+      latency: {
+        count: it.latency.count,
+        sumSeconds: it.latency.sumSeconds,
+        buckets: this._buckets.map((le, i) => ({ le, count: it.latency.counts[i] }))
+      }
+    }))
+  }
+
+  /**
+   * Returns the metrics collected in Prometheus text exposition format.
+   *
+   * @return {string}
+   */
+  toPrometheus () {
+    const name = it => `${this._prefix}_${it}`
+    const lines = []
+    const header = (metric, type, help) => lines.push(`# HELP ${name(metric)} ${help}`, `# TYPE ${name(metric)} ${type}`)
+    const snapshot = this.snapshot()
+
+    header('operations_total', 'counter', 'Repository operations performed.')
+    snapshot.forEach(it => lines.push(`${name('operations_total')}${labels(it)} ${it.calls}`))
+
+    header('operation_errors_total', 'counter', 'Repository operations failed, by error.')
+    snapshot.forEach(it => Object.entries(it.errors).forEach(([error, count]) =>
+      lines.push(`${name('operation_errors_total')}${labels(it, { error })} ${count}`)))
+
+    header('operation_documents_total', 'counter', 'Documents involved in successful repository operations.')
+    snapshot.forEach(it => lines.push(`${name('operation_documents_total')}${labels(it)} ${it.documents}`))
+
+    header('operation_duration_seconds', 'histogram', 'Repository operation latencies.')
+    snapshot.forEach(it => {
+      it.latency.buckets.forEach(({ le, count }) => lines.push(`${name('operation_duration_seconds_bucket')}${labels(it, { le: String(le) })} ${count}`))
+      lines.push(`${name('operation_duration_seconds_bucket')}${labels(it, { le: '+Inf' })} ${it.latency.count}`)
+      lines.push(`${name('operation_duration_seconds_sum')}${labels(it)} ${it.latency.sumSeconds}`)
+      lines.push(`${name('operation_duration_seconds_count')}${labels(it)} ${it.latency.count}`)
+    })
+
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Returns the metric of the given repository & operation, creating it if necessary.
+   * @private
+   */
+  _metricOf (repository, operation) {
+    const key = JSON.stringify([repository, operation])
+    let metric = this._metrics.get(key)
+    if (!metric) {
+      metric = {
+        repository,
+        operation,
+        calls: 0,
+        errors: {},
+        documents: 0,
+        latency: { count: 0, sumSeconds: 0, counts: this._buckets.map(() => 0) }
+      }
+      this._metrics.set(key, metric)
+    }
+    return metric
+  }
+
+  /**
+   * Records the given duration in the given metric's latency histogram.
+   * @private
+   */
+  _observe ({ latency }, durationMillis = 0) {
+    const seconds = durationMillis / 1000
+    latency.count++
+    latency.sumSeconds += seconds
+    this._buckets.forEach((le, i) => { if (seconds <= le) latency.counts[i]++ })
+  }
+}
+
+/**
+ * Returns the Prometheus label set of the given metric with any additional labels.
+ * @private
+ */
+const labels = ({ repository, operation }, more = {}) =>
+  `{${Object.entries({ repository, operation, ...more }).map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`
+
+/**
+ * Escapes the given Prometheus label value.
+ * @private
+ */
+const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+module.exports = MetricsCollector
@@ -0,0 +1,3 @@
+module.exports = {
+  MetricsCollector: require('./MetricsCollector')
+}
@@ -0,0 +1,44 @@
+'use strict'
+
+/**
+ * A lazily loaded reference to another aggregate, identified by `id`,
+ * which is loaded upon the first call to {@link Reference#load} & remembered thereafter.
+ */
+class Reference {
+  /**
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {*} arg0.id The referenced aggregate's id.
+   * @param {function} arg0.load An `async` function given the id that returns the referenced aggregate.
+   */
+  constructor ({ id, load }) {
+    this.id = id
+    this._load = load
+  }
+
+  /**
+   * Whether the referenced aggregate has been loaded.
+   */
+  get loaded () {
+    return 'value' in this
+  }
+
+  /**
+   * Returns the referenced aggregate, loading it if necessary.
+   * A failed load is not remembered, so it's attempted again upon the next call.
+   *
+   * @return {Promise<object>}
+   */
+  async load () {
+    if (!this._loading) {
+      this._loading = this._load(this.id).then(
+        value => (this.value = value),
+        e => {
+          this._loading = undefined
+          throw e
+        })
+    }
+    return this._loading
+  }
+}
+
+module.exports = Reference
@@ -0,0 +1,110 @@
+'use strict'
+
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+
+/**
+ * Factories of two-way converters between entity property values & document field values,
+ * each converter being an object like `{ toDoc (value), toEntity (value) }`.
+ * Converters are never given `null` or `undefined`.
+ */
+
+/**
+ * Converts `Date`s, or anything `Date`'s constructor accepts, like ISO-8601 strings, epoch milliseconds or moments, to & from `Date`s.
+ */
+const date = () => ({
+  toDoc: value => {
+    const it = value instanceof Date ? value : new Date(typeof value?.toDate === 'function' ? value.toDate() : value)
+    if (isNaN(it.getTime())) throw new IllegalArgumentError({ message: 'invalid date', info: { value } })
+    return it
+  },
+  toEntity: value => value instanceof Date ? value : new Date(value)
+})
+
+/**
+ * Converts numbers or numeric strings to & from mongodb `Decimal128`s.
+ *
+ * @param {boolean} [numeric] Whether entity values are `number`s (`true`) or, to preserve precision, `string`s (`false`); default is `true`.
+ */
+const decimal128 = ({ numeric = true } = {}) => {
+  const { Decimal128 } = require('mongodb')
+
+  return {
+    toDoc: value => Decimal128.fromString(String(value)),
+    toEntity: value => numeric ? Number(value.toString()) : value.toString()
+  }
+}
+
+/**
+ * Converts moments to & from documents like `{ instant, zone, offset }`, preserving their time zones,
+ * where `instant` is a `Date`, `zone` is the moment's IANA time zone name, if any, and `offset` is its UTC offset in minutes.
+ * Values that aren't moments are first parsed by `moment`.
+ */
+const moment = () => {
+  const moment = require('moment-timezone')
+
+  return {
+    toDoc: value => {
+      const it = moment.isMoment(value) ? value : moment(value)
+      if (!it.isValid()) throw new IllegalArgumentError({ message: 'invalid moment', info: { value } })
+      return { instant: it.toDate(), zone: it.tz() || null, offset: it.utcOffset() }
+    },
+    toEntity: ({ instant, zone, offset }) => zone ? moment.tz(instant, zone) : moment(instant).utcOffset(offset || 0)
+  }
+}
+
+/**
+ * Converts `Map`s to & from plain objects, whose keys must be strings, optionally converting each value with the given converter.
+ *
+ * @param {object} [values] The converter of the map's values, if any.
+ */
+const map = (values = identity()) => {
+  const entriesOf = it => it instanceof Map ? [...it.entries()] : Object.entries(it)
+  const convert = (value, direction) => value === null || value === undefined ? value : values[direction](value)
+
+  return {
+    toDoc: value => entriesOf(value).reduce((accum, [key, it]) => ({ ...accum, [key]: convert(it, 'toDoc') }), {}),
+    toEntity: value => new Map(entriesOf(value).map(([key, it]) => [key, convert(it, 'toEntity')]))
+  }
+}
+
+/**
+ * Converts values as-is.
+ */
+const identity = () => ({
+  toDoc: value => value,
+  toEntity: value => value
+})
+
+/**
+ * Composes the given converters into one that converts to documents via each in order & to entities via each in reverse order.
+ *
+ * @param {...object} converters
+ */
+const compose = (...converters) => ({
+  toDoc: value => converters.reduce((it, converter) => converter.toDoc(it), value),
+  toEntity: value => converters.reduceRight((it, converter) => converter.toEntity(it), value)
+})
+
+/**
+ * Converts values of the given `@ballistagroup/enum-support` enumeration to & from their names.
+ *
+ * @param {function} enumeration The enumeration class.
+ */
+const enumeration = enumeration => {
+  if (typeof enumeration?.of !== 'function') throw new IllegalArgumentError({ message: 'enumeration required', info: { enumeration } })
+
+  return {
+    toDoc: value => enumeration.of(value.name ?? value).name,
+    toEntity: value => enumeration.of(value)
+  }
+}
+
+module.exports = {
+  compose,
+  date,
+  decimal128,
+  enumeration,
+  identity,
+  map,
+  moment
+}
@@ -0,0 +1,179 @@
+'use strict'
+
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const Enumeration = require('@ballistagroup/enum-support')
+const Reference = require('./Reference')
+
+/**
+ * The field of a marker object that stands in for an object already serialized elsewhere in the tree,
+ * whose value is the path, as an array of keys & indexes from the root, to the object's first occurrence.
+ */
+const REF = '__ref'
+
+/**
+ * The field holding the name of an object's class, written for the classes given as `types` only.
+ */
+const TYPE = '__type'
+
+const isMoment = it => it?._isAMomentObject === true
+
+/**
+ * Returns whether the given value is copied as-is rather than traversed,
+ * like primitives, functions, dates, regular expressions, buffers, BSON values, moments & enumeration instances.
+ * @private
+ */
+const isLeaf = it =>
+  it === null ||
+  typeof it !== 'object' ||
+  it instanceof Date ||
+  it instanceof RegExp ||
+  Buffer.isBuffer(it) ||
+  Boolean(it._bsontype) ||
+  isMoment(it) ||
+  Enumeration.isEnumerationInstance(it)
+
+/**
+ * Returns a copy of the given leaf value.
+ * @private
+ */
+const copyLeaf = it => {
+  if (it instanceof Date) return new Date(it.getTime())
+  if (isMoment(it)) return it.clone()
+  return it
+}
+
+/**
+ * Returns the names of the properties that the given object's class declares as references via a static `references` array.
+ * @private
+ */
+const referencesOf = it => it?.constructor?.references || []
+
+/**
+ * Returns the id of the given referenced entity.
+ * @private
+ */
+const idOf = (it, property) => {
+  if (it instanceof Reference) return it.id
+  if (isLeaf(it)) return it // already an id
+
+  if (it._id === undefined || it._id === null) {
+    throw new IllegalArgumentError({ message: `referenced entity of ${property} has no _id`, info: { property } })
+  }
+  return it._id
+}
+
+/**
+ * Applies the given function to the given value, or each of its elements if it's an array, unless nullish.
+ * @private
+ */
+const mapValues = (value, fn) => {
+  if (value === null || value === undefined) return value
+  return Array.isArray(value) ? value.map(it => fn(it)) : fn(value)
+}
+
+/**
+ * Converts the given entity graph into a tree that can be stored as a document.
+ * Each object or array that occurs more than once, because it's shared or part of a cycle, is written once,
+ * at its first occurrence in depth-first order, & replaced thereafter by a marker like `{ __ref: ['path', 'to', 0, 'it'] }`.
+ * Properties that an object's class declares in its static `references` array, like `static references = ['_customer']`,
+ * are written as the `_id`s of the entities they hold, instead of copies.
+ * Objects whose classes are among `types` are written with a `__type` field naming their class.
+ *
+ * @param {*} root The root of the graph.
+ * @param {object} [arg1] The argument to be deconstructed.
+ * @param {function} [arg1.customizer] A function given `(value, key, parent)` that returns a value's conversion or `undefined` to convert it normally.
+ * @param {function[]} [arg1.types] The classes whose names are written.
+ * @return {*}
+ */
+const toTree = (root, { customizer = () => undefined, types = [] } = {}) => {
+  const paths = new Map()
+
+  const visit = (value, key, parent, path) => {
+    const customized = customizer(value, key, parent)
+    if (customized !== undefined) return customized
+
+    if (isLeaf(value)) return copyLeaf(value)
+    if (paths.has(value)) return { [REF]: paths.get(value) }
+    paths.set(value, path)
+
+    if (Array.isArray(value)) return value.map((it, i) => visit(it, i, value, [...path, i]))
+    if (value instanceof Map) return new Map([...value].map(([k, it]) => [k, visit(it, k, value, [...path, k])]))
+
+    const references = referencesOf(value)
+    const tree = types.includes(value.constructor) ? { [TYPE]: value.constructor.name } : {}
+
+    return Object.keys(value).reduce((tree, k) => {
+      tree[k] = references.includes(k)
+        ? mapValues(value[k], it => idOf(it, k))
+        : visit(value[k], k, value, [...path, k])
+      return tree
+    }, tree)
+  }
+
+  return visit(root, undefined, undefined, [])
+}
+
+/**
+ * Rebuilds the entity graph from the given tree written by {@link toTree}, restoring shared objects & cycles,
+ * and creating objects named by `__type` fields from the classes among `types`, without calling their constructors.
+ * Objects without a `__type` field are created as plain objects.
+ *
+ * @param {*} tree The tree.
+ * @param {object} [arg1] The argument to be deconstructed.
+ * @param {function[]} [arg1.types] The classes that may be named in the tree.
+ * @param {function} [arg1.reference] A function given `(id, property)` that returns the value to hold for each id of a reference property; default returns the id.
+ * @return {*}
+ * @throws IllegalArgumentError If the tree names an unknown class or refers to an object that does not precede the reference.
+ */
+const fromTree = (tree, { types = [], reference = id => id } = {}) => {
+  const classes = new Map(types.map(it => [it.name, it]))
+  const objects = new Map()
+
+  const visit = (value, path) => {
+    if (isLeaf(value)) return value
+
+    if (Array.isArray(value)) {
+      const array = []
+      objects.set(JSON.stringify(path), array)
+      value.forEach((it, i) => array.push(visit(it, [...path, i])))
+      return array
+    }
+
+    if (value instanceof Map) {
+      const map = new Map()
+      objects.set(JSON.stringify(path), map)
+      value.forEach((it, k) => map.set(k, visit(it, [...path, k])))
+      return map
+    }
+
+    if (value[REF]) {
+      const key = JSON.stringify(value[REF])
+      if (!objects.has(key)) throw new IllegalArgumentError({ message: 'unresolvable reference', info: { ref: value[REF], path } })
+      return objects.get(key)
+    }
+
+    const name = value[TYPE]
+    if (name && !classes.has(name)) throw new IllegalArgumentError({ message: `unknown type ${name}`, info: { type: name, path } })
+
+    const object = name ? Object.create(classes.get(name).prototype) : {}
+    objects.set(JSON.stringify(path), object)
+
+    const references = referencesOf(object)
+    Object.keys(value).filter(k => k !== TYPE).forEach(k => {
+      object[k] = references.includes(k)
+        ? mapValues(value[k], id => reference(id, k))
+        : visit(value[k], [...path, k])
+    })
+
+    return object
+  }
+
+  return visit(tree, [])
+}
+
+module.exports = {
+  REF,
+  TYPE,
+  fromTree,
+  toTree
+}
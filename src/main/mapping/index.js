@@ -0,0 +1,5 @@
+module.exports = {
+  converters: require('./converters'),
+  graph: require('./graph'),
+  Reference: require('./Reference')
+}
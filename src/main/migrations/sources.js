@@ -0,0 +1,176 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const semver = require('semver')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { SchemaMigrationError, DuplicateMigrationError } = require('../errors')
+
+/**
+ * Factories of migration sources, from which {@link MongoSchemaMigrationRepositorySupport} obtains its migrations.
+ * A source is an object like `{ migrations () }`, where `migrations` returns, in ascending version order,
+ * entries like `{ version, origin, checksum (), load () }`, where
+ * `origin` describes where the migration comes from, like its file,
+ * `checksum` returns the checksum of the migration's source & `load` returns the migration as `{ version, up, down, irreversible, checksum }`,
+ * where `irreversible` is `true` if the migration declares itself so or has no `down` function.
+ * Each source reports versions that it holds more than once by throwing a {@link DuplicateMigrationError}.
+ */
+
+/**
+ * Matches the names of migration files, like `1.2.0-add-index.js`, capturing the version.
+ * @private
+ */
+const FILE_NAME = /^(\d+\.\d+\.\d+)(?:-[^.]*)?\.js$/
+
+/**
+ * Returns the SHA-256 checksum of the given migration file, or of the relative paths & contents of the files in the given migration directory.
+ * @private
+ */
+const checksumOf = target => {
+  const hash = crypto.createHash('sha256')
+
+  const visit = (it, relative) => {
+    if (fs.statSync(it).isDirectory()) {
+      fs.readdirSync(it).sort().forEach(name => visit(path.join(it, name), path.posix.join(relative, name)))
+    } else {
+      hash.update(relative).update('\0').update(fs.readFileSync(it)).update('\0')
+    }
+  }
+  visit(target, '')
+
+  return `sha256:${hash.digest('hex')}`
+}
+
+/**
+ * Returns the SHA-256 checksum of the source code of the given migration's functions.
+ * @private
+ */
+const checksumOfFunctions = ({ up, down }) => {
+  const hash = crypto.createHash('sha256')
+  ;[up, down].forEach(it => hash.update(typeof it === 'function' ? it.toString() : '').update('\0'))
+
+  return `sha256:${hash.digest('hex')}`
+}
+
+/**
+ * Returns the migration of the given version defined by the given function that migrates up, or object like `{ up, down, irreversible }`.
+ * @private
+ */
+const migrationOf = ({ version, definition, checksum }) => {
+  const { up, down, irreversible = false } = typeof definition === 'function' ? { up: definition } : definition || {}
+
+  if (typeof up !== 'function') {
+    throw new SchemaMigrationError({ message: `migration ${version} exports no up function`, info: { version } })
+  }
+
+  return {
+    version,
+    up,
+    down,
+    irreversible: irreversible === true || typeof down !== 'function',
+    checksum
+  }
+}
+
+/**
+ * Returns the given entries in ascending version order, having checked that no version occurs more than once.
+ * Versions differing only in build metadata are the same.
+ * @private
+ */
+const sorted = entries => {
+  const origins = entries.reduce((accum, it) => {
+    const version = semver.parse(it.version).version
+    accum.set(version, [...(accum.get(version) || []), it.origin])
+    return accum
+  }, new Map())
+
+  const duplicates = [...origins].filter(([, it]) => it.length > 1).map(([version, origins]) => ({ version, origins }))
+  if (duplicates.length) {
+    throw new DuplicateMigrationError({
+      message: `ambiguous migrations of versions ${duplicates.map(it => it.version).join(', ')}`,
+      info: { duplicates }
+    })
+  }
+
+  return [...entries].sort((a, b) => semver.compare(a.version, b.version))
+}
+
+/**
+ * A source of the migrations in the given directory, each of which is either
+ * a directory named by semantic version, like `1.2.0`, whose module is the migration, or
+ * a file named by version & an optional description, like `1.2.0-add-index.js`, whose versions cannot have prerelease identifiers.
+ * There are no migrations if the directory doesn't exist.
+ *
+ * @param {string} dir The directory.
+ */
+const filesystem = dir => ({
+  migrations: () => {
+    if (!dir || !fs.existsSync(dir)) return []
+
+    return sorted(fs.readdirSync(dir, { withFileTypes: true })
+      .map(entry => {
+        const version = entry.isDirectory() ? semver.valid(entry.name) : entry.isFile() && FILE_NAME.exec(entry.name)?.[1]
+        if (!version) return null
+
+        const origin = path.join(dir, entry.name)
+        return {
+          version,
+          origin,
+          checksum: () => checksumOf(origin),
+          load: () => migrationOf({ version, definition: require(origin), checksum: checksumOf(origin) })
+        }
+      })
+      .filter(it => it))
+  }
+})
+
+/**
+ * A source of the given migrations defined in code, for deployments that cannot read migrations from the filesystem, like bundles.
+ * The migrations are given either as an array of objects like `{ version, up, down, irreversible, checksum }`, or
+ * as a `Map` or object keyed by version whose values are functions that migrate up or objects like `{ up, down, irreversible, checksum }`.
+ * Unless given, a migration's checksum is that of the source code of its `up` & `down` functions.
+ *
+ * @param {object[]|Map|object} migrations The migrations.
+ * @param {object} [arg1] The argument to be deconstructed.
+ * @param {string} [arg1.name] The name of the source, used in each migration's `origin`; default is `'programmatic'`.
+ * @throws IllegalArgumentError If a version isn't a valid semantic version.
+ */
+const programmatic = (migrations, { name = 'programmatic' } = {}) => {
+  const definitions = Array.isArray(migrations)
+    ? migrations.map(it => [it?.version, it])
+    : [...(migrations instanceof Map ? migrations : Object.entries(migrations || {}))]
+
+  const entries = definitions.map(([version, definition], i) => {
+    if (!semver.valid(version)) {
+      throw new IllegalArgumentError({ message: `invalid migration version ${version}`, info: { version, index: i } })
+    }
+
+    const checksum = () => definition?.checksum || checksumOfFunctions(typeof definition === 'function' ? { up: definition } : definition || {})
+    return {
+      version,
+      origin: `${name}[${i}]`,
+      checksum,
+      load: () => migrationOf({ version, definition, checksum: checksum() })
+    }
+  })
+
+  return {
+    migrations: () => sorted(entries)
+  }
+}
+
+/**
+ * A source of the migrations of all of the given sources.
+ *
+ * @param {...object} sources The sources.
+ */
+const compose = (...sources) => ({
+  migrations: () => sorted(sources.flatMap(it => it.migrations()))
+})
+
+module.exports = {
+  compose,
+  filesystem,
+  programmatic
+}
@@ -0,0 +1,402 @@
+'use strict'
+
+const { isDeepStrictEqual } = require('util')
+const { AsyncLocalStorage } = require('async_hooks')
+const _ = {
+  cloneDeepWith: require('lodash.clonedeepwith')
+}
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const uuid = require('uuid').v1
+const { Trait } = require('@ballistagroup/mutrait')
+const { ObjectNotFoundError, NonuniqueCriteriaError, UniqueKeyViolationError } = require('../errors')
+
+/**
+ * Holds the undo log of the transaction in progress, if any, across asynchronous calls made within {@link InMemoryRepository#_transactionallyExecute}.
+ * @private
+ */
+const transactionContext = new AsyncLocalStorage()
+
+/**
+ * Imparts the same protected persistence methods as {@link MongoRepository}, with the same semantics & errors,
+ * backed by a `Map` of `_id`s to documents instead of a mongodb collection; useful in unit tests that should not need a database.
+ *
+ * Documents are copied when written & when read, like they would be when serialized to & from a database.
+ * Filters support equality on fields & dotted paths, including array membership, and the operators
+ * `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$exists`, `$regex`, `$not`, `$size`, `$elemMatch`, `$and`, `$or` & `$nor`;
+ * any other operator throws `IllegalArgumentError`.
+ * Transactions roll back the writes made within them if they throw, but are not isolated from writes made outside of them.
+ *
+ * Audit stamping, soft deletion, change history & optimistic locking are not supported.
+ */
+const InMemoryRepository = Trait(superclass =>
+  class extends superclass {
+    _collection = new Map() // subclasses may set to a Map shared with other repositories
+    _type // subclasses should set to class of entity being persisted, like: this._type = Customer
+
+    /**
+     * Returns the given collection or `this._collection`
+     * @private
+     */
+    _getCollection (collection) {
+      return collection || this._collection
+    }
+
+    /**
+     * Strict insert; fails if object with `object._id` already exists.
+     *
+     * @throws UniqueKeyViolationError If the object already exists.
+     * @private
+     */
+    async _insert (object, { collection } = {}) {
+      if (!object) throw new IllegalArgumentError({ info: { object } })
+      object._id = object._id || uuid()
+
+      const docs = this._getCollection(collection)
+      if (docs.has(keyOf(object._id))) {
+        throw new UniqueKeyViolationError({
+          message: `duplicate key: ${object._id}`,
+          info: { index: '_id_', keyValue: { _id: object._id } }
+        })
+      }
+
+      this._write(docs, object._id, copy(object))
+      return object
+    }
+
+    /**
+     * Strict update; fails if object with `object._id` does not exist yet.
+     *
+     * @throws ObjectNotFoundError If the object does not exist.
+     * @private
+     */
+    async _update (object, { collection } = {}) {
+      if (!object) throw new IllegalArgumentError({ info: { object } })
+      object._id = object._id || uuid()
+
+      const docs = this._getCollection(collection)
+      const existing = docs.get(keyOf(object._id))
+      if (!existing) throw new ObjectNotFoundError({ message: `object with _id ${object._id} must exist`, info: { object } })
+
+      this._write(docs, object._id, { ...existing, ...copy(object) })
+      return object
+    }
+
+    /**
+     * Inserts a new document or updates, partially or completely, an existing document.
+     *
+     * @private
+     */
+    async _upsert (object, { collection } = {}) {
+      if (!object) throw new IllegalArgumentError({ info: { object } })
+      object._id = object._id || uuid()
+
+      const docs = this._getCollection(collection)
+      this._write(docs, object._id, { ...docs.get(keyOf(object._id)), ...copy(object) })
+      return object
+    }
+
+    /**
+     * Replaces an existing document entirely; this is not a partial update.
+     * Does nothing if the document does not exist.
+     *
+     * @private
+     */
+    async _overwrite (object, { collection } = {}) {
+      if (!object) throw new IllegalArgumentError({ info: { object } })
+      object._id = object._id || uuid()
+
+      const docs = this._getCollection(collection)
+      if (docs.has(keyOf(object._id))) this._write(docs, object._id, copy(object))
+      return object
+    }
+
+    /**
+     * Returns the identified collection entry or `null` if not found.
+     *
+     * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
+     * @param {Map} [collection] The collection to use; default is `this._collection`.
+     * @return {Promise<object|null>}
+     * @see {@link InMemoryRepository#_getById}
+     * @private
+     */
+    async _findById (id, { collection } = {}) {
+      if (!id) throw new IllegalArgumentError({ info: { id } })
+
+      if (typeof id !== 'object') return copy(this._getCollection(collection).get(keyOf(id))) || null
+      return (await this._find(id, { limit: 1, collection }))[0] || null
+    }
+
+    /**
+     * Returns the identified collection entry or throws if not found.
+     *
+     * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
+     * @param {Map} [collection] The collection to use; default is `this._collection`.
+     * @return {Promise<object>}
+     * @throws IllegalArgumentError If the identified entry does not exist, like {@link MongoRepository#_getById}.
+     * @private
+     */
+    async _getById (id, { collection } = {}) {
+      return await this._findById(id, { collection }) || throw new IllegalArgumentError({
+        message: 'not found',
+        info: { id }
+      })
+    }
+
+    /**
+     * Returns the collection entries matching the given filter.
+     *
+     * @param {object} [filter] The query filter; default is `{}`, which matches all entries.
+     * @param {object} [projection] The fields to include, like `{ name: 1 }`, or exclude, like `{ name: 0 }`; only top-level fields are supported.
+     * @param {object} [sort] The sort specification, like `{ name: 1, _id: -1 }`.
+     * @param {number} [skip] The number of matching entries to skip.
+     * @param {number} [limit] The maximum number of entries to return.
+     * @param {Map} [collection] The collection to use; default is `this._collection`.
+     * @return {Promise<object[]>}
+     * @private
+     */
+    async _find (filter = {}, { projection, sort, skip, limit, collection } = {}) {
+      let docs = [...this._getCollection(collection).values()].filter(doc => matches(doc, filter))
+
+      if (sort) docs.sort(sorter(sort))
+      if (skip) docs = docs.slice(skip)
+      if (limit) docs = docs.slice(0, limit)
+
+      return docs.map(doc => project(copy(doc), projection))
+    }
+
+    /**
+     * Returns the single collection entry matching the given filter, or `null` if none match.
+     *
+     * @throws NonuniqueCriteriaError If more than one entry matches the given filter.
+     * @see {@link InMemoryRepository#_find}
+     * @private
+     */
+    async _findOne (filter = {}, { projection, sort, skip, collection } = {}) {
+      const docs = await this._find(filter, { projection, sort, skip, limit: 2, collection })
+
+      if (docs.length > 1) {
+        throw new NonuniqueCriteriaError({
+          message: 'more than one object matches criteria',
+          info: { filter }
+        })
+      }
+
+      return docs[0] || null
+    }
+
+    /**
+     * Returns the number of collection entries matching the given filter.
+     * @private
+     */
+    async _count (filter = {}, { skip, limit, collection } = {}) {
+      return (await this._find(filter, { skip, limit, collection })).length
+    }
+
+    /**
+     * Returns whether any collection entry matches the given filter.
+     * @private
+     */
+    async _exists (filter = {}, { collection } = {}) {
+      return (await this._find(filter, { limit: 1, collection })).length > 0
+    }
+
+    /**
+     * Deletes the identified collection entry, if it exists.
+     *
+     * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
+     * @param {Map} [collection] The collection to use; default is `this._collection`.
+     * @return {Promise<void>}
+     * @private
+     */
+    async _deleteById (id, { collection } = {}) {
+      if (!id) throw new IllegalArgumentError({ info: { id } })
+
+      const doc = await this._findById(id, { collection })
+      if (doc) this._write(this._getCollection(collection), doc._id, undefined)
+    }
+
+    /**
+     * Calls the given function within a transaction, rolling back the writes made within it if it throws.
+     * If a transaction is already in progress, the function joins it instead.
+     *
+     * @param {function} fn The `async` function to call, which is given an opaque session.
+     * @return {Promise<*>} What `fn` returns.
+     * @private
+     */
+    async _transactionallyExecute (fn) {
+      const active = transactionContext.getStore()
+      if (active) return fn(active.session)
+
+      const transaction = { session: { id: uuid() }, undo: [] }
+      try {
+        return await transactionContext.run(transaction, () => fn(transaction.session))
+      } catch (e) {
+        transaction.undo.reverse().forEach(undo => undo())
+        throw e
+      }
+    }
+
+    /**
+     * Stores the given document under the given id, or removes the entry if the document is `undefined`,
+     * logging how to undo the write if a transaction is in progress.
+     * @private
+     */
+    _write (docs, id, doc) {
+      const key = keyOf(id)
+
+      const transaction = transactionContext.getStore()
+      if (transaction) {
+        const had = docs.has(key)
+        const previous = docs.get(key)
+        transaction.undo.push(() => had ? docs.set(key, previous) : docs.delete(key))
+      }
+
+      if (doc === undefined) docs.delete(key)
+      else docs.set(key, doc)
+    }
+  }
+)
+
+/**
+ * Returns a deep copy of the given document.
+ * @private
+ */
+const copy = doc => doc && _.cloneDeepWith(doc)
+
+/**
+ * Returns the key of the given `_id` in a collection `Map`.
+ * Primitive ids are their own keys; other ids, like `ObjectId`s, are keyed by their JSON representation.
+ * @private
+ */
+const keyOf = id => id !== null && typeof id === 'object' ? `${id.constructor?.name}:${JSON.stringify(id)}` : id
+
+const isOperatorObject = it =>
+  it !== null && typeof it === 'object' && !Array.isArray(it) && !(it instanceof Date) && !(it instanceof RegExp) &&
+  Object.keys(it).length > 0 && Object.keys(it).every(key => key.startsWith('$'))
+
+/**
+ * Returns the values at the given dotted path of the given value, descending into the elements of arrays along the way;
+ * `undefined` represents a missing value.
+ * @private
+ */
+const valuesAt = (value, path) => {
+  if (!path.length) return [value]
+  if (value === null || value === undefined || typeof value !== 'object') return [undefined]
+
+  const [key, ...rest] = path
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.flatMap(it => valuesAt(it, path))
+  return valuesAt(value[key], rest)
+}
+
+/**
+ * Returns the given values plus the elements of any that are arrays, which is how mongodb matches array fields.
+ * @private
+ */
+const withElements = values => values.flatMap(it => Array.isArray(it) ? [it, ...it] : [it])
+
+const equal = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true
+  return isDeepStrictEqual(a, b)
+}
+
+/**
+ * Compares the given values if they are of the same comparable type, returning `undefined` otherwise, like mongodb's type bracketing.
+ * @private
+ */
+const compare = (a, b) => {
+  const comparable = (typeof a === 'number' && typeof b === 'number') ||
+    (typeof a === 'string' && typeof b === 'string') ||
+    (a instanceof Date && b instanceof Date)
+  if (!comparable) return undefined
+
+  const [x, y] = [a.valueOf(), b.valueOf()]
+  return x < y ? -1 : x > y ? 1 : 0
+}
+
+const OPERATORS = {
+  $eq: (values, operand) => withElements(values).some(it => equal(it, operand)),
+  $ne: (values, operand) => !OPERATORS.$eq(values, operand),
+  $gt: (values, operand) => withElements(values).some(it => compare(it, operand) > 0),
+  $gte: (values, operand) => withElements(values).some(it => compare(it, operand) >= 0),
+  $lt: (values, operand) => withElements(values).some(it => compare(it, operand) < 0),
+  $lte: (values, operand) => withElements(values).some(it => compare(it, operand) <= 0),
+  $in: (values, operand) => operand.some(it => it instanceof RegExp ? OPERATORS.$regex(values, it) : OPERATORS.$eq(values, it)),
+  $nin: (values, operand) => !OPERATORS.$in(values, operand),
+  $exists: (values, operand) => values.some(it => it !== undefined) === !!operand,
+  $regex: (values, operand, condition) => {
+    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options)
+    return withElements(values).some(it => typeof it === 'string' && regex.test(it))
+  },
+  $options: () => true, // used by $regex
+  $not: (values, operand) => !matchesCondition(values, operand),
+  $size: (values, operand) => values.some(it => Array.isArray(it) && it.length === operand),
+  $elemMatch: (values, operand) => values.some(it => Array.isArray(it) && it.some(element =>
+    isOperatorObject(operand) ? matchesCondition([element], operand) : matches(element, operand)))
+}
+
+/**
+ * Returns whether the given values satisfy the given condition, which is either an operator object, like `{ $gt: 1 }`, or a value to equal.
+ * @private
+ */
+const matchesCondition = (values, condition) => {
+  if (condition instanceof RegExp) return OPERATORS.$regex(values, condition)
+  if (!isOperatorObject(condition)) return OPERATORS.$eq(values, condition)
+
+  return Object.keys(condition).every(operator => {
+    if (!OPERATORS[operator]) throw new IllegalArgumentError({ message: `unsupported operator: ${operator}`, info: { condition } })
+    return OPERATORS[operator](values, condition[operator], condition)
+  })
+}
+
+/**
+ * Returns whether the given document matches the given filter.
+ * @private
+ */
+const matches = (doc, filter = {}) => Object.keys(filter).every(key => {
+  switch (key) {
+    case '$and':
+      return filter.$and.every(it => matches(doc, it))
+    case '$or':
+      return filter.$or.some(it => matches(doc, it))
+    case '$nor':
+      return !filter.$nor.some(it => matches(doc, it))
+    default:
+      if (key.startsWith('$')) throw new IllegalArgumentError({ message: `unsupported operator: ${key}`, info: { filter } })
+      return matchesCondition(valuesAt(doc, key.split('.')), filter[key])
+  }
+})
+
+/**
+ * Returns a comparator of documents according to the given sort specification; missing & `null` values sort first.
+ * @private
+ */
+const sorter = sort => (a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const [x, y] = [valuesAt(a, key.split('.'))[0], valuesAt(b, key.split('.'))[0]]
+    const nullish = [x, y].map(it => it === undefined || it === null)
+
+    const order = nullish[0] || nullish[1]
+      ? nullish[1] - nullish[0]
+      : compare(x, y) ?? String(x).localeCompare(String(y))
+    if (order) return direction < 0 ? -order : order
+  }
+  return 0
+}
+
+/**
+ * Returns the given document with only the top-level fields included, or without those excluded, by the given projection.
+ * @private
+ */
+const project = (doc, projection) => {
+  if (!projection || !Object.keys(projection).length) return doc
+
+  const inclusive = Object.keys(projection).some(key => key !== '_id' && projection[key])
+  return Object.keys(doc).reduce((accum, key) => {
+    const included = key in projection ? !!projection[key] : (key === '_id' || !inclusive)
+    if (included) accum[key] = doc[key]
+    return accum
+  }, {})
+}
+
+module.exports = InMemoryRepository
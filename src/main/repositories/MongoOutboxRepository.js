@@ -0,0 +1,273 @@
+'use strict'
+
+const os = require('os')
+const uuid = require('uuid').v4
+const { traits } = require('@ballistagroup/mutrait')
+const MongoRepository = require('./MongoRepository')
+const { MissingRequiredArgumentError, IllegalArgumentError } = require('@ballistagroup/error-support')
+
+const STATUS = Object.freeze({
+  PENDING: 'pending',
+  CLAIMED: 'claimed',
+  DISPATCHED: 'dispatched',
+  DEAD: 'dead'
+})
+
+/**
+ * Persists domain events in an outbox collection so that they can be written in the same transaction as the entities they describe,
+ * then relays them to a publisher, at least once, via {@link MongoOutboxRepository#relay}.
+ *
+ * To queue events alongside a write, set a repository's `_outbox` to an instance of this class,
+ * then call `_enqueueEvents` with the session of the transaction in which the write occurs:
+ * ```
+ * await this._transactionallyExecute(async session => {
+ *   await this._insert(doc, { options: { session } })
+ *   await this._enqueueEvents([{ type: 'CustomerCreated', payload: { id: doc._id } }], { options: { session } })
+ * })
+ * ```
+ *
+ * Then, periodically, in any process:
+ * ```
+ * await outbox.relay({ publish: async event => broker.send(event.type, event.payload) })
+ * ```
+ */
+class MongoOutboxRepository extends traits(MongoRepository) {
+  static DEFAULT_COLLECTION_NAME = 'outbox'
+  static DEFAULT_LEASE_MILLIS = 30000
+  static DEFAULT_MAX_ATTEMPTS = 10
+  static DEFAULT_BACKOFF = Object.freeze({ initialMillis: 1000, maxMillis: 300000, factor: 2 })
+  static STATUS = STATUS
+
+  static async ensureSchema ({ db, name = MongoOutboxRepository.DEFAULT_COLLECTION_NAME, options }) {
+    if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
+    if (!name) throw new MissingRequiredArgumentError({ message: 'name required' })
+
+    const collection = ((await db.collections()).map(it => it.collectionName).includes(name))
+      ? db.collection(name)
+      : await db.createCollection(name, options)
+
+    await collection.createIndex({ status: 1, availableAt: 1 })
+    await collection.createIndex({ status: 1, leaseExpiresAt: 1 })
+
+    return collection
+  }
+
+  /**
+   * @param {object} collection The mongodb outbox collection.
+   * @param {object} [arg1] The argument to be deconstructed.
+   * @param {string} [arg1.owner] Identifies this relay when claiming events; default is unique to this instance on this host.
+   * @param {number} [arg1.leaseMillis] How long a claim on an event lasts before another relay may claim it.
+   * @param {number} [arg1.maxAttempts] How many times to attempt to publish an event before giving up on it.
+   * @param {object} [arg1.backoff] The exponential backoff between attempts, as `{ initialMillis, maxMillis, factor }`.
+   */
+  constructor (collection, {
+    owner = `${os.hostname()}@${uuid()}`,
+    leaseMillis = MongoOutboxRepository.DEFAULT_LEASE_MILLIS,
+    maxAttempts = MongoOutboxRepository.DEFAULT_MAX_ATTEMPTS,
+    backoff = MongoOutboxRepository.DEFAULT_BACKOFF
+  } = {}) {
+    super(...arguments)
+    this._collection = collection || throw new MissingRequiredArgumentError({ message: 'collection required' })
+    this._owner = owner
+    this._leaseMillis = leaseMillis
+    this._maxAttempts = maxAttempts
+    this._backoff = { ...MongoOutboxRepository.DEFAULT_BACKOFF, ...backoff }
+  }
+
+  /**
+   * Queues the given events for publication.
+   * Pass the session of a transaction in `options` to queue the events within it.
+   *
+   * @param {object|object[]} events The events, each like `{ type, payload }`.
+   * @param {object} [options] The mongodb `Collection#bulkWrite` options, like `{ session }`.
+   * @return {Promise<object[]>} The queued outbox entries.
+   */
+  async enqueue (events, { options } = {}) {
+    events = Array.isArray(events) ? events : [events]
+    events.forEach(event => {
+      if (!event?.type) throw new IllegalArgumentError({ message: 'event type required', info: { event } })
+    })
+
+    const now = this._now()
+    const entries = events.map(({ type, payload }) => ({
+      _id: uuid(),
+      type,
+      payload,
+      status: STATUS.PENDING,
+      attempts: 0,
+      enqueuedAt: now,
+      availableAt: now
+    }))
+
+    await this._insertMany(entries, { options })
+    return entries
+  }
+
+  /**
+   * Claims up to the given number of events that are due for publication, including those whose previous claim has expired,
+   * like when a relay crashed while publishing, once the backoff after that attempt has also elapsed.
+   * Events whose expired claims were their last attempts are marked dead instead.
+   * Each claimed event's `attempts` is incremented.
+   *
+   * @param {number} [limit] The maximum number of events to claim.
+   * @return {Promise<object[]>} The claimed outbox entries, oldest first.
+   */
+  async claim ({ limit = 10 } = {}) {
+    const claimed = []
+
+    await this._buryExpiredClaims()
+
+    while (claimed.length < limit) {
+      const now = this._now()
+
+      const result = await this._tryNonidempotentDbOp(async () => await this._collection.findOneAndUpdate(
+        {
+          $or: [
+            { status: STATUS.PENDING, availableAt: { $lte: now } },
+            ...this._expiredClaimFilters(now)
+          ]
+        },
+        {
+          $set: {
+            status: STATUS.CLAIMED,
+            claimedBy: this._owner,
+            leaseExpiresAt: new Date(now.getTime() + this._leaseMillis)
+          },
+          $inc: { attempts: 1 }
+        },
+        { sort: { availableAt: 1 }, returnOriginal: false, returnDocument: 'after' }
+      ))
+
+      if (!result.value) break
+      claimed.push(result.value)
+    }
+
+    return claimed
+  }
+
+  /**
+   * Marks the given claimed event as dispatched.
+   * Transient failures are not retried, as a retry of a write whose reply was lost would no longer find the claim.
+   *
+   * @param {object} event The claimed outbox entry.
+   * @return {Promise<boolean>} Whether this relay still held the claim; if not, another relay may publish the event again.
+   */
+  async markDispatched (event) {
+    const result = await this._tryNonidempotentDbOp(async () => await this._collection.updateOne(
+      { _id: event._id, status: STATUS.CLAIMED, claimedBy: this._owner },
+      {
+        $set: { status: STATUS.DISPATCHED, dispatchedAt: this._now() },
+        $unset: { leaseExpiresAt: '', lastError: '' }
+      }
+    ))
+
+    return result.matchedCount === 1
+  }
+
+  /**
+   * Releases the given claimed event after a failed publication,
+   * making it available again after a backoff or, if it has been attempted `maxAttempts` times, marking it dead.
+   * Like {@link MongoOutboxRepository#markDispatched}, transient failures are not retried.
+   *
+   * @param {object} event The claimed outbox entry.
+   * @param {Error} [error] The cause of the failure.
+   * @return {Promise<boolean>} Whether this relay still held the claim.
+   */
+  async markFailed (event, error) {
+    const dead = event.attempts >= this._maxAttempts
+
+    const result = await this._tryNonidempotentDbOp(async () => await this._collection.updateOne(
+      { _id: event._id, status: STATUS.CLAIMED, claimedBy: this._owner },
+      {
+        $set: {
+          status: dead ? STATUS.DEAD : STATUS.PENDING,
+          availableAt: new Date(this._now().getTime() + this._backoffMillis(event.attempts)),
+          lastError: error?.message || String(error)
+        },
+        $unset: { leaseExpiresAt: '', claimedBy: '' }
+      }
+    ))
+
+    return result.matchedCount === 1
+  }
+
+  /**
+   * Claims due events and hands each to the given publisher, marking it dispatched if the publisher resolves,
+   * or releasing it for a later retry if the publisher rejects.
+   * Events published but not marked dispatched, because this relay lost its claim or marking failed, are reported as `lost`,
+   * as they may be published again.
+   * Events whose publication failed are reported as `failed`, even if releasing them failed, in which case they're retried once their leases & the backoffs after them expire.
+   *
+   * @param {function} publish An `async` function taking an outbox entry, like `{ _id, type, payload, attempts }`.
+   * @param {number} [limit] The maximum number of events to relay.
+   * @return {Promise<{dispatched: object[], failed: object[], lost: object[]}>}
+   */
+  async relay ({ publish, limit } = {}) {
+    if (typeof publish !== 'function') throw new MissingRequiredArgumentError({ message: 'publish function required' })
+
+    const outcome = { dispatched: [], failed: [], lost: [] }
+
+    for (const event of await this.claim({ limit })) {
+      try {
+        await publish(event)
+      } catch (e) {
+        await this.markFailed(event, e).catch(() => {}) // the lease expires anyway
+        outcome.failed.push(event)
+        continue
+      }
+
+      const dispatched = await this.markDispatched(event).catch(() => false)
+      outcome[dispatched ? 'dispatched' : 'lost'].push(event)
+    }
+
+    return outcome
+  }
+
+  /**
+   * Marks dead the events whose expired claims were their last attempts.
+   * @private
+   */
+  async _buryExpiredClaims () {
+    const now = this._now()
+
+    await this._tryDbOp(async () => await this._collection.updateMany(
+      { status: STATUS.CLAIMED, leaseExpiresAt: { $lte: now }, attempts: { $gte: this._maxAttempts } },
+      {
+        $set: { status: STATUS.DEAD, lastError: 'claim expired on the last attempt' },
+        $unset: { leaseExpiresAt: '', claimedBy: '' }
+      }
+    ))
+  }
+
+  /**
+   * Returns the filters of claimed events that may be claimed again at the given time,
+   * which are those with attempts left whose claims expired at least the backoff after their number of attempts ago.
+   * Numbers of attempts whose backoffs are the maximum share a filter.
+   * @private
+   */
+  _expiredClaimFilters (now) {
+    const expiredBefore = attempts => new Date(now.getTime() - this._backoffMillis(attempts))
+
+    const filters = []
+    let attempts = 1
+    for (; attempts < this._maxAttempts && this._backoffMillis(attempts) < this._backoff.maxMillis; attempts++) {
+      filters.push({ status: STATUS.CLAIMED, attempts, leaseExpiresAt: { $lte: expiredBefore(attempts) } })
+    }
+    if (attempts < this._maxAttempts) {
+      filters.push({ status: STATUS.CLAIMED, attempts: { $gte: attempts, $lt: this._maxAttempts }, leaseExpiresAt: { $lte: expiredBefore(attempts) } })
+    }
+
+    return filters
+  }
+
+  /**
+   * Returns the delay before the next attempt after the given number of attempts.
+   * @private
+   */
+  _backoffMillis (attempts) {
+    const { initialMillis, maxMillis, factor } = this._backoff
+    return Math.min(maxMillis, initialMillis * Math.pow(factor, Math.max(0, attempts - 1)))
+  }
+}
+
+module.exports = MongoOutboxRepository
@@ -1,20 +1,59 @@
 'use strict'
 
-const { MissingRequiredArgumentError, IllegalArgumentError } = require('@ballistagroup/error-support')
+const { isDeepStrictEqual } = require('util')
+const { AsyncLocalStorage } = require('async_hooks')
+const { MissingRequiredArgumentError, IllegalArgumentError, IllegalStateError } = require('@ballistagroup/error-support')
 const uuid = require('uuid').v1
-const { Trait } = require('@ballistagroup/mutrait')
-const { UniqueKeyViolationError, ObjectNotFoundError } = require('../errors')
+const { Trait, superclass: extend } = require('@ballistagroup/mutrait')
+const { ObjectId } = require('mongodb')
+const {
+  ObjectNotFoundError,
+  NonuniqueCriteriaError,
+  BulkOperationError,
+  OptimisticLockViolationError
+} = require('../errors')
+const AuditStamping = require('../traits/AuditStamping')
+const Retrying = require('../traits/Retrying')
+const Instrumented = require('../traits/Instrumented')
+const translateMongoError = require('./translateMongoError')
+const { findPage } = require('./pagination')
 
-const ERROR_CODES = {
-  DUPLICATE_KEY: 11000
-}
+const { instrumented } = Instrumented
+
+const DEFAULT_PAGE_SIZE = 100
+
+const DEFAULT_TRANSACTION_OPTIONS = Object.freeze({
+  readPreference: 'primary',
+  readConcern: { level: 'local' },
+  writeConcern: { w: 'majority' }
+})
 
+const MAX_TRANSACTION_ATTEMPTS = 5
+
+/**
+ * Holds the `{ client, session }` of the transaction in progress, if any, across asynchronous calls made within {@link MongoRepository#_transactionallyExecute}.
+ * @private
+ */
+const transactionContext = new AsyncLocalStorage()
+
+/**
+ * Imparts protected persistence methods backed by a mongodb collection.
+ * Expresses {@link AuditStamping}, so documents written are stamped with creation & modification times and actors when `_auditStamping` is truthy,
+ * {@link Retrying}, so operations failing transiently are retried when `_retryPolicy` is set,
+ * and {@link Instrumented}, so events around each operation are emitted to any `_instrumentationListeners`.
+ */
 const MongoRepository = Trait(superclass =>
-  class extends superclass {
+  class extends extend(superclass).expressing(AuditStamping, Retrying, Instrumented) {
     _client
     _db
     _collection
     _type // subclasses should set to class of entity being persisted, like: this._type = Customer
+    _softDelete = false // subclasses should set to true to mark entries as deleted instead of removing them
+    _deletedAtField = '_deletedAt'
+    _deletedByField = '_deletedBy'
+    _historyCollection // subclasses should set to a mongodb collection to record the change history of entries written
+    _historyMode = 'snapshot' // either 'snapshot' to record entries before & after each change, or 'diff' to record only changed fields
+    _outbox // subclasses should set to a MongoOutboxRepository to queue events alongside writes
 
     _assert (entity) {
       if (!entity) throw new MissingRequiredArgumentError({ message: `${this._type.name} required` })
@@ -50,16 +89,26 @@ const MongoRepository = Trait(superclass =>
       return collection || this._collection
     }
 
+    _instrumentedCollectionName (collection) {
+      return this._getCollection(collection)?.collectionName
+    }
+
     /**
      * Strict insert; fails if object with `object._id` already exists.
      *
      * @private
      */
+    @instrumented()
     async _insert (object, { collection, options } = {}) {
       if (!object) throw new IllegalArgumentError({ info: { object } })
       object._id = object._id || uuid()
 
-      await this._tryDbOp(async () => await this._getCollection(collection).insertOne(object, options))
+      const { created, updated } = await this._auditStamps()
+      Object.assign(object, created, updated)
+
+      const history = await this._beginHistory('insert', object._id, { collection, options })
+      await this._tryNonidempotentDbOp(async () => await this._getCollection(collection).insertOne(object, this._withSession(options)))
+      await this._endHistory(history)
 
       return object
     }
@@ -67,38 +116,76 @@ const MongoRepository = Trait(superclass =>
     /**
      * Strict update; fails if object with `object._id` does not exist yet.
      *
+     * If the object has an `_optimisticLock` property, the update only applies if the stored lock still matches,
+     * in which case `object._optimisticLock` is set to a new lock value; see {@link MongoRepository#_newOptimisticLock}.
+     *
+     * @throws ObjectNotFoundError If the object does not exist.
+     * @throws OptimisticLockViolationError If the object exists but its stored optimistic lock does not match.
      * @private
      */
+    @instrumented()
     async _update (object, { collection, options } = {}) {
       if (!object) throw new IllegalArgumentError({ info: { object } })
       object._id = object._id || uuid()
 
+      Object.assign(object, (await this._auditStamps()).updated)
+
+      const history = await this._beginHistory('update', object._id, { collection, options })
+
+      if (this._isOptimisticallyLocked(object)) {
+        const lock = this._newOptimisticLock()
+
+        const result = await this._tryNonidempotentDbOp(async () => await this._getCollection(collection).updateOne(
+          this._optimisticLockFilter(object),
+          { $set: { ...object, _optimisticLock: lock } },
+          { ...this._withSession(options), upsert: false }
+        ))
+        if (result.matchedCount !== 1) {
+          await this._throwOptimisticLockViolationOrNotFound({ _id: object._id }, { info: { object }, collection, options })
+        }
+
+        object._optimisticLock = lock
+        await this._endHistory(history)
+        return object
+      }
+
       const result = await this._tryDbOp(async () => await this._getCollection(collection).updateOne(
         { _id: object._id },
         { $set: object },
-        { ...options, upsert: false }
+        { ...this._withSession(options), upsert: false }
       ))
 
-      if (result.modifiedCount !== undefined && result.modifiedCount !== 1) throw new ObjectNotFoundError({ message: `object with _id ${object._id} must exist`, info: { object } })
-      if (result.result && result.result.nModified !== undefined && result.result.nModified !== 1) throw new ObjectNotFoundError({ message: `object with _id ${object._id} must exist`, info: { object } })
+      // check matches rather than modifications, which a retry of an update whose reply was lost would not make
+      if (result.matchedCount !== undefined && result.matchedCount !== 1) throw new ObjectNotFoundError({ message: `object with _id ${object._id} must exist`, info: { object } })
+      if (result.result && result.result.n !== undefined && result.result.n !== 1) throw new ObjectNotFoundError({ message: `object with _id ${object._id} must exist`, info: { object } })
 
+      await this._endHistory(history)
       return object
     }
 
     /**
      * Inserts a new document or updates, partially or completely, an existing document.
+     * When audit stamping, the creation stamps are only written if the document is inserted.
      *
      * @private
      */
+    @instrumented()
     async _upsert (object, { collection, options } = {}) {
       if (!object) throw new IllegalArgumentError({ info: { object } })
       object._id = object._id || uuid()
 
-      await this._tryDbOp(async () => await this._getCollection(collection).updateOne(
+      const { created, updated } = await this._auditStamps()
+      Object.assign(object, updated)
+
+      const history = await this._beginHistory('upsert', object._id, { collection, options })
+      const result = await this._tryDbOp(async () => await this._getCollection(collection).updateOne(
         { _id: object._id },
-        { $set: object },
-        { ...options, upsert: true }
+        this._upsertUpdate(object, created),
+        { ...this._withSession(options), upsert: true }
       ))
+      await this._endHistory(history)
+
+      if (result.upsertedCount) Object.assign(object, created)
 
       return object
     }
@@ -106,36 +193,186 @@ const MongoRepository = Trait(superclass =>
     /**
      * Replaces an existing document entirely; this is not a partial update.
      *
+     * If the object has an `_optimisticLock` property, the replacement only applies if the stored lock still matches,
+     * in which case `object._optimisticLock` is set to a new lock value; see {@link MongoRepository#_newOptimisticLock}.
+     *
+     * @throws ObjectNotFoundError If the object has an `_optimisticLock` property and does not exist.
+     * @throws OptimisticLockViolationError If the object exists but its stored optimistic lock does not match.
      * @private
      */
+    @instrumented()
     async _overwrite (object, { collection, options } = {}) {
       if (!object) throw new IllegalArgumentError({ info: { object } })
       object._id = object._id || uuid()
 
+      const { created, updated } = await this._auditStamps()
+      if (this._auditStamping && !(this._createdAtField in object)) { // carry over creation stamps the replacement would otherwise erase
+        const projection = this._createdFields.reduce((accum, field) => ({ ...accum, [field]: 1 }), { _id: 0 })
+        const existing = await this._findById(object._id, { collection, options: { ...options, projection }, includeDeleted: true })
+        Object.assign(object, existing || created)
+      }
+      Object.assign(object, updated)
+
+      const history = await this._beginHistory('overwrite', object._id, { collection, options })
+
+      if (this._isOptimisticallyLocked(object)) {
+        const lock = this._newOptimisticLock()
+
+        const result = await this._tryNonidempotentDbOp(async () => await this._getCollection(collection).replaceOne(
+          this._optimisticLockFilter(object),
+          { ...object, _optimisticLock: lock },
+          this._withSession(options)
+        ))
+        if (result.matchedCount !== 1) {
+          await this._throwOptimisticLockViolationOrNotFound({ _id: object._id }, { info: { object }, collection, options })
+        }
+
+        object._optimisticLock = lock
+        await this._endHistory(history)
+        return object
+      }
+
       await this._tryDbOp(async () => await this._getCollection(collection).replaceOne(
         { _id: object._id },
         object,
-        options
+        this._withSession(options)
       ))
+      await this._endHistory(history)
 
       return object
     }
 
+    /**
+     * Strict insert of many objects in a single round trip; fails for each object whose `_id` already exists.
+     *
+     * @param {object[]} objects The objects to insert; any without an `_id` are given one.
+     * @param {boolean} [ordered] Whether to stop at the first failure (`true`) or attempt every insert (`false`); default is `true`.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#bulkWrite` options.
+     * @return {Promise<object[]>} The given objects.
+     * @throws BulkOperationError If any insert fails; see {@link MongoRepository#_bulkWrite}.
+     * @private
+     */
+    @instrumented()
+    async _insertMany (objects, { ordered = true, collection, options } = {}) {
+      if (!Array.isArray(objects)) throw new IllegalArgumentError({ info: { objects } })
+
+      const { created, updated } = await this._auditStamps()
+      objects.forEach(object => {
+        object._id = object._id || uuid()
+        Object.assign(object, created, updated)
+      })
+
+      await this._bulkWrite(objects.map(document => ({ insertOne: { document } })), { ordered, collection, options })
+
+      return objects
+    }
+
+    /**
+     * Inserts or updates, partially or completely, many objects in a single round trip.
+     *
+     * @param {object[]} objects The objects to upsert; any without an `_id` are given one.
+     * When audit stamping, the creation stamps are written to inserted documents but not set on the given objects.
+     * @param {boolean} [ordered] Whether to stop at the first failure (`true`) or attempt every upsert (`false`); default is `true`.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#bulkWrite` options.
+     * @return {Promise<object[]>} The given objects.
+     * @throws BulkOperationError If any upsert fails; see {@link MongoRepository#_bulkWrite}.
+     * @private
+     */
+    @instrumented()
+    async _upsertMany (objects, { ordered = true, collection, options } = {}) {
+      if (!Array.isArray(objects)) throw new IllegalArgumentError({ info: { objects } })
+
+      const { created, updated } = await this._auditStamps()
+      objects.forEach(object => {
+        object._id = object._id || uuid()
+        Object.assign(object, updated)
+      })
+
+      await this._bulkWrite(objects.map(object => ({
+        updateOne: { filter: { _id: object._id }, update: this._upsertUpdate(object, created), upsert: true }
+      })), { ordered, collection, options })
+
+      return objects
+    }
+
+    /**
+     * Executes the given mongodb bulk write operations, like `{ insertOne: { document } }` or `{ deleteOne: { filter } }`, in a single round trip.
+     *
+     * If any operation fails, a `BulkOperationError` is thrown whose `info` reports the outcome of each operation by `_id`,
+     * taken from the document of an `insertOne` or from the filter of any other operation:
+     * * `succeeded`: the `_id`s of the operations that were applied,
+     * * `failed`: `{ index, _id, error }` for each failed operation, where `error` is mapped through {@link MongoRepository#_translateError}, and
+     * * `unattempted`: the `_id`s of the operations after the first failure that were never attempted in ordered mode.
+     *
+     * @param {object[]} operations The mongodb bulk write operations.
+     * @param {boolean} [ordered] Whether to stop at the first failure (`true`) or attempt every operation (`false`); default is `true`.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#bulkWrite` options.
+     * @return {Promise<object|null>} The mongodb `BulkWriteResult`, or `null` if no operations were given.
+     * @throws BulkOperationError If any operation fails.
+     * @private
+     */
+    @instrumented({ count: (result, [operations]) => operations?.length ?? 0 })
+    async _bulkWrite (operations, { ordered = true, collection, options } = {}) {
+      if (!Array.isArray(operations)) throw new IllegalArgumentError({ info: { operations } })
+      if (!operations.length) return null
+
+      const history = await this._beginBulkHistory(operations, { collection, options })
+
+      let result
+      try {
+        result = await this._getCollection(collection).bulkWrite(operations, { ...this._withSession(options), ordered })
+      } catch (e) {
+        if (!e.writeErrors) throw this._translateError(e)
+
+        const failed = [].concat(e.writeErrors).map(it => ({
+          index: it.index,
+          _id: bulkOperationId(operations[it.index]),
+          error: this._translateError(it)
+        }))
+        const failedIndexes = failed.map(it => it.index)
+        const lastAttempted = ordered ? Math.min(...failedIndexes) : operations.length - 1
+
+        const outcome = operations.reduce((accum, op, index) => {
+          if (index > lastAttempted) accum.unattempted.push(bulkOperationId(op))
+          else if (!failedIndexes.includes(index)) accum.succeeded.push(bulkOperationId(op))
+          return accum
+        }, { succeeded: [], unattempted: [] })
+
+        await this._endBulkHistory(history) // record the operations that succeeded
+
+        throw new BulkOperationError({
+          message: `${failed.length} of ${operations.length} operations failed`,
+          cause: failed.map(it => it.error),
+          info: { ...outcome, failed }
+        })
+      }
+
+      await this._endBulkHistory(history)
+      return result
+    }
+
     /**
      * Returns the identified collection entry or `null` if not found.
      *
      * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
      * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
      * @param {object} [options] The mongodb `Collection#findOne` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
      * @return {Promise<object|null>}
      * @see {@link MongoRepository#_getById}
      * @private
      */
-    async _findById (id, { collection, options } = {}) {
+    @instrumented()
+    async _findById (id, { collection, options, includeDeleted } = {}) {
       if (!id) throw new IllegalArgumentError({ info: { id } })
 
-      return this._tryDbOp(async () =>
-        this._getCollection(collection).findOne(typeof id === 'object' ? id : { _id: id }, options))
+      return this._tryDbOp(async () => this._getCollection(collection).findOne(
+        this._softDeleteFilter(typeof id === 'object' ? id : { _id: id }, { includeDeleted }),
+        this._withSession(options)
+      ))
     }
 
     /**
@@ -144,79 +381,742 @@ const MongoRepository = Trait(superclass =>
      * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
      * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
      * @param {object} [options] The mongodb `Collection#findOne` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
      * @return {Promise<object|null>}
      * @throws ObjectNotFoundError If the identified entry does not exist.
      * @see {@link MongoRepository#_findById}
      * @private
      */
-    async _getById (id, { collection, options } = {}) {
-      return this._tryDbOp(async () => await this._findById(id, {
+    @instrumented()
+    async _getById (id, { collection, options, includeDeleted } = {}) {
+      return await this._findById(id, {
         collection,
-        options
+        options,
+        includeDeleted
       }) || throw new IllegalArgumentError({
         message: 'not found',
         info: { id }
+      })
+    }
+
+    /**
+     * Returns the collection entries matching the given filter.
+     *
+     * @param {object} [filter] The mongodb query filter; default is `{}`, which matches all entries.
+     * @param {object} [projection] The mongodb projection to apply to each matching entry.
+     * @param {object} [sort] The mongodb sort specification.
+     * @param {number} [skip] The number of matching entries to skip.
+     * @param {number} [limit] The maximum number of entries to return.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {Promise<object[]>}
+     * @private
+     */
+    @instrumented()
+    async _find (filter = {}, { projection, sort, skip, limit, collection, options, includeDeleted } = {}) {
+      return this._tryDbOp(async () =>
+        this._getCollection(collection)
+          .find(this._softDeleteFilter(filter, { includeDeleted }), this._findOptions({ projection, sort, skip, limit, options }))
+          .toArray())
+    }
+
+    /**
+     * Returns the single collection entry matching the given filter, or `null` if none match.
+     *
+     * @param {object} [filter] The mongodb query filter.
+     * @param {object} [projection] The mongodb projection to apply to the matching entry.
+     * @param {object} [sort] The mongodb sort specification.
+     * @param {number} [skip] The number of matching entries to skip.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {Promise<object|null>}
+     * @throws NonuniqueCriteriaError If more than one entry matches the given filter.
+     * @private
+     */
+    @instrumented()
+    async _findOne (filter = {}, { projection, sort, skip, collection, options, includeDeleted } = {}) {
+      const docs = await this._find(filter, { projection, sort, skip, limit: 2, collection, options, includeDeleted })
+
+      if (docs.length > 1) {
+        throw new NonuniqueCriteriaError({
+          message: 'more than one object matches criteria',
+          info: { filter }
+        })
+      }
+
+      return docs[0] || null
+    }
+
+    /**
+     * Returns the number of collection entries matching the given filter.
+     *
+     * @param {object} [filter] The mongodb query filter; default is `{}`, which matches all entries.
+     * @param {number} [skip] The number of matching entries to skip.
+     * @param {number} [limit] The maximum number of entries to count.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#countDocuments` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {Promise<number>}
+     * @private
+     */
+    @instrumented()
+    async _count (filter = {}, { skip, limit, collection, options, includeDeleted } = {}) {
+      return this._tryDbOp(async () => this._getCollection(collection).countDocuments(
+        this._softDeleteFilter(filter, { includeDeleted }),
+        this._findOptions({ skip, limit, options })
+      ))
+    }
+
+    /**
+     * Returns whether any collection entry matches the given filter.
+     *
+     * @param {object} [filter] The mongodb query filter; default is `{}`, which matches all entries.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#findOne` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {Promise<boolean>}
+     * @private
+     */
+    @instrumented()
+    async _exists (filter = {}, { collection, options, includeDeleted } = {}) {
+      return !!(await this._tryDbOp(async () => this._getCollection(collection).findOne(
+        this._softDeleteFilter(filter, { includeDeleted }),
+        { ...this._withSession(options), projection: { _id: 1 } }
+      )))
+    }
+
+    /**
+     * Returns a page of collection entries matching the given filter using keyset pagination.
+     * Instead of skipping entries, each page resumes after the sort key values of the last entry of the previous page,
+     * so deep pages cost the same as the first one.
+     *
+     * The sort specification always has `_id` appended as a tiebreaker if it's not already present.
+     * Entries should have a value for each sort key; entries with missing sort keys may be skipped between pages.
+     *
+     * @param {object} [filter] The mongodb query filter; default is `{}`, which matches all entries.
+     * @param {object} [sort] The mongodb sort specification as an object of keys to `1` or `-1`; default is `{ _id: 1 }`.
+     * @param {number} [limit] The maximum number of entries in the page; default is 100.
+     * @param {string} [token] The opaque continuation token returned as `nextToken` from the previous page; omit for the first page.
+     * @param {object} [projection] The mongodb projection to apply to each entry; sort keys are always included.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {Promise<{items: object[], nextToken: string|null, hasMore: boolean}>}
+     * @throws IllegalArgumentError If the given token is malformed or was issued for a different sort specification.
+     * @private
+     */
+    @instrumented()
+    async _findPage (filter = {}, { sort, limit = DEFAULT_PAGE_SIZE, token, projection, collection, options, includeDeleted } = {}) {
+      return findPage(
+        (filter, { sort, limit, projection }) => this._find(filter, { projection, sort, limit, collection, options, includeDeleted }),
+        { filter, sort, limit, token, projection }
+      )
+    }
+
+    /**
+     * Returns an async iterable over the collection entries matching the given filter without buffering them all in memory.
+     * The underlying cursor is closed when iteration completes, fails, or the consumer exits early, as with `break` in a `for await` loop.
+     *
+     * @example
+     * for await (const entity of this._stream({ status: 'active' }, { map: doc => this._docToEntity(doc) })) {
+     *   // ...
+     * }
+     *
+     * @param {object} [filter] The mongodb query filter; default is `{}`, which matches all entries.
+     * @param {number} [batchSize] The number of entries the cursor fetches per round trip.
+     * @param {object} [projection] The mongodb projection to apply to each matching entry.
+     * @param {object} [sort] The mongodb sort specification.
+     * @param {function} [map] An optional, possibly `async`, function applied to each entry as it's yielded, like `this._docToEntity`.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @param {boolean} [includeDeleted] Whether to include soft-deleted entries; default is `false`.
+     * @return {AsyncIterable<*>}
+     * @private
+     */
+    async * _stream (filter = {}, { batchSize, projection, sort, map, collection, options, includeDeleted } = {}) {
+      const cursor = this._getCollection(collection).find(this._softDeleteFilter(filter, { includeDeleted }), this._findOptions({
+        projection,
+        sort,
+        options: batchSize ? { ...options, batchSize } : options
       }))
+
+      try {
+        let doc
+        while ((doc = await this._tryNonidempotentDbOp(async () => cursor.next())) !== null) { // a failed cursor can't be resumed
+          yield map ? await map(doc) : doc
+        }
+      } finally {
+        await cursor.close()
+      }
+    }
+
+    /**
+     * Returns the mongodb update that upserts the given object, only setting the given creation stamps if inserting.
+     * @private
+     */
+    _upsertUpdate (object, created = {}) {
+      if (!Object.keys(created).length) return { $set: object }
+
+      return { $set: this._withoutCreatedFields(object), $setOnInsert: created }
+    }
+
+    /**
+     * Merges the given query modifiers into the given mongodb options, omitting any that are `undefined`.
+     * @private
+     */
+    _findOptions ({ projection, sort, skip, limit, options } = {}) {
+      const modifiers = { projection, sort, skip, limit }
+
+      return Object.keys(modifiers).reduce((accum, key) => {
+        if (modifiers[key] !== undefined && modifiers[key] !== null) accum[key] = modifiers[key]
+        return accum
+      }, { ...this._withSession(options) })
     }
 
     /**
      * Deletes the identified collection entry.
      *
+     * If `this._softDelete` is truthy, the entry is only marked as deleted by setting its `this._deletedAtField` to the current time
+     * and its `this._deletedByField` to the given `actor`, if any; see {@link MongoRepository#_restoreById} & {@link MongoRepository#_purgeDeleted}.
+     *
      * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
      * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
-     * @param {object} [options] The mongodb `Collection#deleteOne` options.
+     * @param {object} [options] The mongodb `Collection#deleteOne` or, if soft deleting, `Collection#updateOne` options.
+     * @param {*} [optimisticLock] If given, the entry is only deleted if its stored `_optimisticLock` matches this value.
+     * @param {*} [actor] The principal deleting the entry, recorded if soft deleting; default is the current actor, if any.
      * @return {Promise<object|null>}
      * @throws ObjectNotFoundError If the identified entry does not exist.
+     * @throws OptimisticLockViolationError If `optimisticLock` is given and the identified entry's stored optimistic lock does not match.
      * @see {@link MongoRepository#_findById}
      * @private
      */
-    async _deleteById (id, { collection, options } = {}) {
+    @instrumented({ count: () => 1 })
+    async _deleteById (id, { collection, options, optimisticLock, actor } = {}) {
+      if (!id) throw new IllegalArgumentError({ info: { id } })
+
+      const filter = typeof id === 'object' ? id : { _id: id }
+      const target = optimisticLock === undefined ? filter : { ...filter, _optimisticLock: optimisticLock }
+
+      const tryDbOp = optimisticLock === undefined ? fn => this._tryDbOp(fn) : fn => this._tryNonidempotentDbOp(fn)
+
+      const history = await this._beginHistory('delete', filter, { collection, options })
+      const result = this._softDelete
+        ? await tryDbOp(async () => await this._getCollection(collection).updateOne(
+            this._softDeleteFilter(target),
+            { $set: this._removeNullishesIn({ [this._deletedAtField]: this._now(), [this._deletedByField]: actor ?? await this._currentActor() }) },
+            { ...this._withSession(options), upsert: false }
+          ))
+        : await tryDbOp(async () => await this._getCollection(collection).deleteOne(target, this._withSession(options)))
+
+      if (optimisticLock !== undefined && (result.deletedCount ?? result.matchedCount) !== 1) {
+        await this._throwOptimisticLockViolationOrNotFound(filter, { info: { id, optimisticLock }, collection, options })
+      }
+
+      await this._endHistory(history)
+    }
+
+    /**
+     * Restores the identified soft-deleted collection entry.
+     *
+     * @param {*} id If not an `object`, the filter becomes `{ _id: id }`, else the filter is literally the object given.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#updateOne` options.
+     * @return {Promise<void>}
+     * @throws ObjectNotFoundError If the identified entry does not exist or is not soft-deleted.
+     * @see {@link MongoRepository#_deleteById}
+     * @private
+     */
+    @instrumented({ count: () => 1 })
+    async _restoreById (id, { collection, options } = {}) {
       if (!id) throw new IllegalArgumentError({ info: { id } })
 
-      await this._tryDbOp(async () => await this._getCollection(collection).deleteOne(typeof id === 'object' ? id : { _id: id }, options))
+      const filter = typeof id === 'object' ? id : { _id: id }
+
+      const history = await this._beginHistory('restore', filter, { collection, options })
+      // not retried, as a retry of a restore whose reply was lost would find nothing to restore
+      const result = await this._tryNonidempotentDbOp(async () => await this._getCollection(collection).updateOne(
+        { ...filter, [this._deletedAtField]: { $ne: null } },
+        { $unset: { [this._deletedAtField]: '', [this._deletedByField]: '' } },
+        { ...this._withSession(options), upsert: false }
+      ))
+
+      if (result.matchedCount !== 1) throw new ObjectNotFoundError({ message: 'deleted object not found', info: { id } })
+
+      await this._endHistory(history)
+    }
+
+    /**
+     * Physically removes soft-deleted collection entries.
+     *
+     * @param {Date} [olderThan] If given, only entries deleted at or before this time are removed.
+     * @param {object} [collection] The mongodb collection to use; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#deleteMany` options.
+     * @return {Promise<number>} The number of entries removed.
+     * @see {@link MongoRepository#_deleteById}
+     * @private
+     */
+    @instrumented({ optionsArg: 0 })
+    async _purgeDeleted ({ olderThan, collection, options } = {}) {
+      const deletedAt = olderThan ? { $ne: null, $lte: olderThan } : { $ne: null }
+      const filter = { [this._deletedAtField]: deletedAt }
+
+      const history = await this._beginBulkHistory([{ deleteMany: { filter } }], { collection, options, operation: 'purge' })
+      const result = await this._tryDbOp(async () =>
+        await this._getCollection(collection).deleteMany(filter, this._withSession(options)))
+      await this._endBulkHistory(history)
+
+      return result.deletedCount
+    }
+
+    /**
+     * Returns the given filter restricted to entries that are not soft-deleted, unless `this._softDelete` is falsy or `includeDeleted` is truthy.
+     * @private
+     */
+    _softDeleteFilter (filter, { includeDeleted } = {}) {
+      if (!this._softDelete || includeDeleted) return filter
+
+      return { $and: [filter, { [this._deletedAtField]: null }] }
+    }
+
+    /**
+     * Queues the given domain events in `this._outbox` for publication.
+     * Pass the session of the transaction in which the entries they describe are written, so that the events are only queued if the transaction commits.
+     *
+     * @param {object|object[]} events The events, each like `{ type, payload }`.
+     * @param {object} [options] The mongodb options, like `{ session }`.
+     * @return {Promise<object[]>} The queued outbox entries.
+     * @see {@link MongoOutboxRepository#enqueue}
+     * @private
+     */
+    async _enqueueEvents (events, { options } = {}) {
+      if (!this._outbox) throw new IllegalStateError({ message: 'no outbox configured' })
+
+      return this._outbox.enqueue(events, { options })
+    }
+
+    /**
+     * Returns the recorded change history of the identified entry, oldest first.
+     * Each history entry has the following properties:
+     * * `documentId`: the `_id` of the entry changed,
+     * * `collectionName`: the name of the collection of the entry changed,
+     * * `operation`: one of `insert`, `update`, `upsert`, `overwrite`, `delete`, `restore` or `purge`,
+     * * `at`: the time of the change,
+     * * `actor`: the acting principal, if any; see {@link AuditStamping#_currentActor},
+     * * `before` & `after`: the entry before & after the change, `null` if it did not exist, if `this._historyMode` is `'snapshot'`, or
+     * * `diff`: the changed fields as `{ set, unset }`, or `null` if the entry was removed, if `this._historyMode` is `'diff'`.
+     *
+     * Changes made in bulk, via {@link MongoRepository#_insertMany}, {@link MongoRepository#_upsertMany}, {@link MongoRepository#_bulkWrite}
+     * or {@link MongoRepository#_purgeDeleted}, are recorded once per entry changed, with the entry before & after all of the bulk's operations
+     * & the operation of the last one targeting it. Entries that a bulk write left unchanged, like those whose operations failed, are not recorded.
+     *
+     * @param {*} id The `_id` of the entry.
+     * @param {object} [collection] The mongodb collection of the entry; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @return {Promise<object[]>}
+     * @private
+     */
+    @instrumented()
+    async _historyOf (id, { collection, options } = {}) {
+      if (!this._historyCollection) throw new IllegalStateError({ message: 'no history collection configured' })
+
+      return this._tryDbOp(async () => this._historyCollection
+        .find(
+          { documentId: id, collectionName: this._getCollection(collection).collectionName },
+          { ...this._withSession(options), sort: { at: 1, _id: 1 } }
+        )
+        .toArray())
+    }
+
+    /**
+     * Rebuilds the identified entry as it was at the given time from its recorded change history.
+     *
+     * @param {*} id The `_id` of the entry.
+     * @param {Date} timestamp The time at which to rebuild the entry.
+     * @param {object} [collection] The mongodb collection of the entry; default is `this._collection`.
+     * @param {object} [options] The mongodb `Collection#find` options.
+     * @return {Promise<object|null>} The entry, or `null` if it did not exist at the given time.
+     * @see {@link MongoRepository#_historyOf}
+     * @private
+     */
+    @instrumented({ optionsArg: 2 })
+    async _asOf (id, timestamp, { collection, options } = {}) {
+      const entries = (await this._historyOf(id, { collection, options })).filter(it => it.at <= timestamp)
+
+      if (this._historyMode !== 'diff') return entries.length ? entries[entries.length - 1].after : null
+
+      return entries.reduce((state, { diff }) => {
+        if (!diff) return null
+
+        state = { ...state, ...diff.set }
+        diff.unset.forEach(key => delete state[key])
+        return state
+      }, null)
+    }
+
+    /**
+     * Begins recording a change to the identified entry by capturing it before the change.
+     * Returns `null` if `this._historyCollection` is not set.
+     * @private
+     */
+    async _beginHistory (operation, id, { collection, options } = {}) {
+      if (!this._historyCollection) return null
+
+      const before = operation === 'insert'
+        ? null
+        : await this._findById(id, { collection, options: this._sessionOptions(options), includeDeleted: true })
+
+      return { operation, id, before, collection, options }
+    }
+
+    /**
+     * Finishes recording the change begun by {@link MongoRepository#_beginHistory} by capturing the entry after the change
+     * and writing a history entry, within the same session as the change, if any.
+     * @private
+     */
+    async _endHistory (history) {
+      if (!history) return
+
+      const { operation, id, before, collection, options } = history
+      const after = await this._findById(id, { collection, options: this._sessionOptions(options), includeDeleted: true })
+      if (!before && !after) return
+
+      const entry = await this._historyEntry({ operation, before, after, collection })
+      await this._tryNonidempotentDbOp(async () => await this._historyCollection.insertOne(entry, this._sessionOptions(options)))
+    }
+
+    /**
+     * Begins recording the changes of the given bulk write operations by capturing the entries that each targets before the changes,
+     * giving an `_id` to each document to be inserted that has none, so that it can be found afterward.
+     * Each change is recorded as the given operation, if any, or as that corresponding to the type of the bulk write operation.
+     * Returns `null` if `this._historyCollection` is not set.
+     * @private
+     */
+    async _beginBulkHistory (operations, { collection, options, operation } = {}) {
+      if (!this._historyCollection) return null
+
+      const find = (filter, findOptions) => this._tryDbOp(async () => await this._getCollection(collection)
+        .find(filter, { ...this._sessionOptions(options), ...findOptions })
+        .toArray())
+
+      const targets = []
+      for (const it of operations) {
+        const [type] = Object.keys(it)
+        const spec = it[type]
+
+        if (type === 'insertOne') {
+          spec.document._id = spec.document._id ?? new ObjectId()
+          targets.push({ operation: operation || 'insert', ids: [spec.document._id], befores: [] })
+          continue
+        }
+
+        const befores = await find(spec.filter, !type.endsWith('Many') && { limit: 1 })
+
+        targets.push({
+          operation: operation || (spec.upsert ? 'upsert' : BULK_HISTORY_OPERATIONS[type]),
+          befores,
+          filter: spec.upsert && !befores.length ? spec.filter : null // to find the entry it inserts
+        })
+      }
+
+      // entries that already exist, whose inserts will fail
+      const inserts = targets.filter(it => it.ids)
+      if (inserts.length) {
+        const existing = await find({ _id: { $in: inserts.flatMap(it => it.ids) } })
+        existing.forEach(it => inserts.find(target => historyKeyOf(target.ids[0]) === historyKeyOf(it._id)).befores.push(it))
+      }
+
+      return { targets, collection, options }
+    }
+
+    /**
+     * Finishes recording the changes begun by {@link MongoRepository#_beginBulkHistory} by capturing the entries after the changes
+     * and writing a history entry for each entry changed, within the same session as the changes, if any.
+     * @private
+     */
+    async _endBulkHistory (history) {
+      if (!history) return
+
+      const { targets, collection, options } = history
+      const changes = new Map()
+      const change = (id, operation, before) => {
+        const key = historyKeyOf(id)
+        changes.set(key, { id, operation, before: changes.has(key) ? changes.get(key).before : before })
+      }
+
+      for (const { operation, ids = [], befores, filter } of targets) {
+        befores.forEach(it => change(it._id, operation, it))
+        ids.forEach(id => change(id, operation, null))
+
+        if (filter) {
+          const inserted = await this._tryDbOp(async () => await this._getCollection(collection).findOne(filter, this._sessionOptions(options)))
+          if (inserted) change(inserted._id, operation, null)
+        }
+      }
+      if (!changes.size) return
+
+      const afters = (await this._tryDbOp(async () => await this._getCollection(collection)
+        .find({ _id: { $in: [...changes.values()].map(it => it.id) } }, this._sessionOptions(options))
+        .toArray()))
+        .reduce((accum, it) => accum.set(historyKeyOf(it._id), it), new Map())
+
+      const entries = []
+      for (const [key, { operation, before }] of changes) {
+        const after = afters.get(key) || null
+        if (!isDeepStrictEqual(before, after)) entries.push(await this._historyEntry({ operation, before, after, collection }))
+      }
+      if (!entries.length) return
+
+      await this._tryNonidempotentDbOp(async () => await this._historyCollection.insertMany(entries, this._sessionOptions(options)))
+    }
+
+    /**
+     * Returns the history entry of the given change to an entry of the given collection.
+     * @private
+     */
+    async _historyEntry ({ operation, before, after, collection }) {
+      return {
+        _id: new ObjectId(),
+        documentId: (before || after)._id,
+        collectionName: this._getCollection(collection).collectionName,
+        operation,
+        at: this._now(),
+        actor: await this._currentActor() ?? null,
+        ...(this._historyMode === 'diff' ? { diff: diffOf(before, after) } : { before, after })
+      }
+    }
+
+    /**
+     * Returns mongodb options with only the session, if any, of the given options or of the transaction in progress.
+     * @private
+     */
+    _sessionOptions (options) {
+      const session = this._withSession(options)?.session
+      return session ? { session } : {}
+    }
+
+    /**
+     * Returns whether the given object participates in optimistic locking, which is whenever it has an `_optimisticLock` property.
+     * @private
+     */
+    _isOptimisticallyLocked (object) {
+      return '_optimisticLock' in object
+    }
+
+    /**
+     * Returns a new optimistic lock value; override to use a different kind of lock token.
+     * @private
+     */
+    _newOptimisticLock () {
+      return uuid()
+    }
+
+    /**
+     * Returns a filter matching the given object only if its stored optimistic lock matches the object's.
+     * A nullish lock matches a stored document with a `null` or missing `_optimisticLock`.
+     * @private
+     */
+    _optimisticLockFilter (object) {
+      return { _id: object._id, _optimisticLock: object._optimisticLock ?? null }
+    }
+
+    /**
+     * Called after a conditional write matched nothing to tell whether the target is gone or its optimistic lock is stale.
+     *
+     * @param {object} filter The filter identifying the target, excluding its optimistic lock.
+     * @param {*} info The `info` of the error thrown.
+     * @throws OptimisticLockViolationError If an entry matching the filter exists.
+     * @throws ObjectNotFoundError Otherwise.
+     * @private
+     */
+    async _throwOptimisticLockViolationOrNotFound (filter, { info, collection, options } = {}) {
+      if (await this._exists(filter, { collection, options, includeDeleted: true })) {
+        throw new OptimisticLockViolationError({
+          message: `object with _id ${filter._id} has been modified by another writer`,
+          info
+        })
+      }
+
+      throw new ObjectNotFoundError({ message: `object with _id ${filter._id} must exist`, info })
     }
 
     /**
      * Executes the given function within the scope of a transaction.
-     * @param {Function} fn The function to execute; must return a `Promise`.
+     *
+     * The session is passed to the function and is also used automatically by every helper method of every `MongoRepository` sharing this repository's client
+     * that is called while the function executes, unless the helper is given a session explicitly in its `options`.
+     * If a transaction is already in progress, the function joins it instead of starting a new one.
+     * If the function or the commit fails with a transient transaction error, the whole transaction is retried a limited number of times.
+     *
+     * @param {Function} fn The function to execute, given the `ClientSession`; must return a `Promise`.
      * @param {Object} [options] Transaction options; see http://mongodb.github.io/node-mongodb-native/3.6/api/global.html#TransactionOptions for supported properties.
      * @return {Promise<*>} The promise returned by param `fn`.
      */
-    async _transactionallyExecute (
-      fn,
-      options = {
-        readPreference: 'primary',
-        readConcern: { level: 'local' },
-        writeConcern: { w: 'majority' }
-      }
-    ) {
-      let session
+    async _transactionallyExecute (fn, options = DEFAULT_TRANSACTION_OPTIONS) {
+      const active = this._activeTransaction()
+      if (active) return fn(active.session)
+
+      const session = this._client.startSession()
 
       try {
-        session = this._client.startSession()
-        return session.withTransaction(fn, options)
+        for (let attempt = 1; ; attempt++) {
+          session.startTransaction(options)
+
+          try {
+            const result = await transactionContext.run({ client: this._client, session }, () => fn(session))
+            await this._commitWithRetry(session)
+            return result
+          } catch (e) {
+            if (session.inTransaction()) await session.abortTransaction()
+            if (attempt < MAX_TRANSACTION_ATTEMPTS && hasErrorLabel(e, 'TransientTransactionError')) continue
+            throw e
+          }
+        }
       } finally {
-        if (session) await session.endSession()
+        await session.endSession()
       }
     }
 
-    async _tryDbOp (fn, collection) {
-      try {
-        return (await fn(collection))
-      } catch (e) {
-        throw this._translateError(e)
+    /**
+     * Commits the transaction of the given session, retrying if the outcome of the commit is unknown.
+     * @private
+     */
+    async _commitWithRetry (session) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await session.commitTransaction()
+        } catch (e) {
+          if (attempt < MAX_TRANSACTION_ATTEMPTS && hasErrorLabel(e, 'UnknownTransactionCommitResult')) continue
+          throw e
+        }
       }
     }
 
+    /**
+     * Returns the `{ client, session }` of the transaction in progress that this repository can join, or `undefined` if there is none.
+     * A repository without a client is assumed to share the client of the transaction.
+     * @private
+     */
+    _activeTransaction () {
+      const active = transactionContext.getStore()
+      return active && (!this._client || this._client === active.client) ? active : undefined
+    }
+
+    /**
+     * Returns the given mongodb options joined to the session of the transaction in progress, if any, unless they already name a session.
+     * @private
+     */
+    _withSession (options) {
+      const active = this._activeTransaction()
+      return active && !options?.session ? { ...options, session: active.session } : options
+    }
+
+    /**
+     * Calls the given function, translating any error it throws via {@link MongoRepository#_translateError}.
+     * Transient failures are retried according to `this._retryPolicy`, unless `idempotent` is `false`
+     * or a transaction is in progress, in which case the whole transaction is retried instead;
+     * see {@link Retrying} & {@link MongoRepository#_transactionallyExecute}.
+     *
+     * @param {function} fn The `async` function to call, which is given `collection`.
+     * @param {object} [collection] The mongodb collection to give to `fn`.
+     * @param {boolean} [idempotent] Whether `fn` may safely be called again after an ambiguous failure; default is `true`.
+     * @return {Promise<*>} What `fn` returns.
+     * @private
+     */
+    async _tryDbOp (fn, collection, { idempotent = true } = {}) {
+      return this._retrying(async () => {
+        try {
+          return (await fn(collection))
+        } catch (e) {
+          throw this._translateError(e)
+        }
+      }, { idempotent: idempotent && !this._activeTransaction() })
+    }
+
+    /**
+     * Like {@link MongoRepository#_tryDbOp}, but never retries, for operations that are unsafe to repeat,
+     * like inserts & conditional writes, whose first attempt may have succeeded despite failing.
+     * @private
+     */
+    async _tryNonidempotentDbOp (fn, collection) {
+      return this._tryDbOp(fn, collection, { idempotent: false })
+    }
+
+    /**
+     * Translates the given mongodb error into a datastore-agnostic error, or returns it as-is if there is no translation.
+     * Override to customize translation.
+     *
+     * @param {Error} e The mongodb error.
+     * @param {object} [opts] Additional arguments for the translated error's constructor.
+     * @return {Error}
+     * @see translateMongoError
+     * @private
+     */
     _translateError (e, opts) {
-      switch (e.code) {
-        case ERROR_CODES.DUPLICATE_KEY:
-          return new UniqueKeyViolationError({ ...opts, cause: e })
-        default:
-          return e
-      }
+      return translateMongoError(e, opts)
     }
   }
 )
 
+/**
+ * Returns whether the given error, or any error in its chain of causes, has the given mongodb error label.
+ * @private
+ */
+function hasErrorLabel (e, label) {
+  for (; e; e = e.cause) {
+    if (typeof e.hasErrorLabel === 'function' ? e.hasErrorLabel(label) : e.errorLabels?.includes(label)) return true
+  }
+  return false
+}
+
+/**
+ * Returns the top-level fields that differ between the given documents as `{ set, unset }`, or `null` if there is no `after`.
+ * @private
+ */
+function diffOf (before, after) {
+  if (!after) return null
+  before = before || {}
+
+  return {
+    set: Object.keys(after).reduce((accum, key) => {
+      if (!isDeepStrictEqual(before[key], after[key])) accum[key] = after[key]
+      return accum
+    }, {}),
+    unset: Object.keys(before).filter(key => !(key in after))
+  }
+}
+
+/**
+ * The history operations of the types of mongodb bulk write operations that don't upsert.
+ * @private
+ */
+const BULK_HISTORY_OPERATIONS = {
+  updateOne: 'update',
+  updateMany: 'update',
+  replaceOne: 'overwrite',
+  deleteOne: 'delete',
+  deleteMany: 'delete'
+}
+
+/**
+ * Returns a key by which to identify the entry of the given `_id` in a `Map`, as distinct `ObjectId`s of the same value are not equal.
+ * @private
+ */
+function historyKeyOf (id) {
+  if (id instanceof ObjectId) return `ObjectId:${id.toHexString()}`
+  return `${typeof id}:${typeof id === 'object' ? JSON.stringify(id) : id}`
+}
+
+/**
+ * Returns the `_id` targeted by the given mongodb bulk write operation, if any.
+ * @private
+ */
+function bulkOperationId (operation) {
+  const [type] = Object.keys(operation)
+  const spec = operation[type]
+
+  return type === 'insertOne' ? spec.document?._id : spec.filter?._id
+}
+
 module.exports = MongoRepository
@@ -1,81 +1,188 @@
 'use strict'
 
 const os = require('os')
+const uuid = require('uuid').v4
 const { traits } = require('@ballistagroup/mutrait')
+const converters = require('../mapping/converters')
 const { SchemaVersion } = require('../entities')
 const MongoRepository = require('./MongoRepository')
+const EntityMapping = require('../traits/EntityMapping')
 const { ObjectNotFoundError } = require('../errors')
 const { MissingRequiredArgumentError } = require('@ballistagroup/error-support')
 const pkg = require('../../../package.json')
 
-class MongoSchemaVersionRepository extends traits(MongoRepository) {
+const NAMESPACE_EXISTS = 48 // mongodb error code
+
+class MongoSchemaVersionRepository extends traits(MongoRepository, EntityMapping) {
   static DEFAULT_COLLECTION_NAME = 'schema_versions'
   static DEFAULT_LOCK = MongoSchemaVersionRepository.formatLock(pkg)
 
+  static DEFAULT_LEASE_MILLIS = 60000
+
   static formatLock (pkg, hostname = os.hostname()) {
     return `${pkg.name}@${pkg.version}@${hostname}`
   }
 
+  /**
+   * Returns a new lock owner, which is the lock formatted by {@link formatLock} qualified by a unique suffix,
+   * so that no two owners are the same, even within the same process.
+   */
+  static newLockOwner (pkg, hostname = os.hostname()) {
+    return `${MongoSchemaVersionRepository.formatLock(pkg, hostname)}@${uuid()}`
+  }
+
   static async ensureSchema ({ db, name = MongoSchemaVersionRepository.DEFAULT_COLLECTION_NAME, options }) {
     if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
     if (!name) throw new MissingRequiredArgumentError({ message: 'name required' })
 
-    const collection = ((await db.collections()).map(it => it.collectionName).includes(name))
-      ? db.collection(name)
-      : await db.createCollection(name, options)
+    if ((await db.collections()).map(it => it.collectionName).includes(name)) return db.collection(name)
 
-    return collection
+    try {
+      return await db.createCollection(name, options)
+    } catch (e) {
+      if (e.code === NAMESPACE_EXISTS) return db.collection(name) // another process created it first
+      throw e
+    }
   }
 
   _type = SchemaVersion
+  _mapping = {
+    _semver: true,
+    _locked: true,
+    _lockAcquired: { converter: converters.date() },
+    _lockExpires: { converter: converters.date() },
+    _creating: true
+  }
 
   constructor (collection) {
     super(...arguments)
     this._collection = collection || throw new MissingRequiredArgumentError({ message: 'collection required' })
   }
 
+  async findById ({ id }) {
+    return this._docToEntity(await this._collection.findOne({ _id: id }))
+  }
+
+  async getById ({ id }) {
+    return (await this.findById(arguments[0])) || throw new ObjectNotFoundError({
+      message: 'schemaVersion not found',
+      info: { id }
+    })
+  }
+
   /**
-   * Converts the given SchemaVersion into a document suitable for storage in `this._collection`.
+   * Atomically locks the identified schema version for the given owner with a lease of the given duration,
+   * provided that it's unlocked or its lease has expired.
+   * Owners cannot lock a schema version again until they've unlocked it.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.id The schema version's id.
+   * @param {string} arg0.owner The lock's owner, like one returned by {@link newLockOwner}.
+   * @param {number} [arg0.leaseMillis] The duration of the lease in milliseconds.
+   * @return {Promise<SchemaVersion|null>} The locked schema version, or `null` if it's locked by another owner or does not exist.
    */
-  _entityToDoc (entity) {
-    const doc = this._removeNullishesIn({
-      _id: entity._id,
-      _semver: entity._semver,
-      _locked: entity._locked
-    })
+  async tryLock ({ id, owner, leaseMillis = MongoSchemaVersionRepository.DEFAULT_LEASE_MILLIS }) {
+    if (!owner) throw new MissingRequiredArgumentError({ message: 'owner required' })
 
-    return doc
+    const now = new Date()
+    const { value } = await this._tryNonidempotentDbOp(() => this._collection.findOneAndUpdate(
+      { _id: id, $or: [{ _locked: { $in: [false, null] } }, { _lockExpires: { $lte: now } }] },
+      { $set: { _locked: owner, _lockAcquired: now, _lockExpires: new Date(now.getTime() + leaseMillis) } },
+      { returnOriginal: false, returnDocument: 'after' }
+    ))
+
+    return this._docToEntity(value)
   }
 
   /**
-   * Converts the given Mongo document back into a Fulfiller instance.
+   * Atomically unlocks the identified schema version if it's locked by the given owner.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.id The schema version's id.
+   * @param {string} arg0.owner The lock's owner.
+   * @return {Promise<boolean>} Whether the owner held the lock.
    */
-  _docToEntity (doc, parent) {
-    if (!doc) return doc
+  async unlock ({ id, owner }) {
+    if (!owner) throw new MissingRequiredArgumentError({ message: 'owner required' })
 
-    const it = Object.create(SchemaVersion.prototype) // bypasses constructor
-    it._id = doc._id
-    it._semver = doc._semver
-    it._locked = doc._locked
+    const { value } = await this._tryDbOp(() => this._collection.findOneAndUpdate(
+      { _id: id, _locked: owner },
+      { $set: { _locked: false }, $unset: { _lockAcquired: '', _lockExpires: '' } },
+      { returnOriginal: false, returnDocument: 'after' }
+    ))
 
-    return it
+    return Boolean(value)
   }
 
-  async upsert (schemaVersion, { options } = {}) {
-    this._assert(schemaVersion)
-    await this._upsert(this._entityToDoc(schemaVersion), { options })
-    return schemaVersion
+  /**
+   * Atomically sets the semantic version of the identified schema version if it's locked by the given owner,
+   * marking the schema as no longer being created & leaving its lock & lease as they are.
+   * Joins the transaction in progress, if any.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.id The schema version's id.
+   * @param {string} arg0.owner The lock's owner.
+   * @param {string} arg0.semver The semantic version.
+   * @return {Promise<boolean>} Whether the owner held the lock.
+   */
+  async commitVersion ({ id, owner, semver }) {
+    if (!owner) throw new MissingRequiredArgumentError({ message: 'owner required' })
+
+    const { matchedCount } = await this._tryDbOp(() => this._collection.updateOne(
+      { _id: id, _locked: owner },
+      { $set: { _semver: semver }, $unset: { _creating: '' } },
+      this._withSession()
+    ))
+    return matchedCount > 0
   }
 
-  async findById ({ id }) {
-    return this._docToEntity(await this._collection.findOne({ _id: id }))
+  /**
+   * Appends the given entry to the history of migrations of the identified schema version.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.id The schema version's id.
+   * @param {object} arg0.entry The history entry, like `{ version, direction, owner, started, ended, durationMillis, outcome, error, checksum }`.
+   * @return {Promise<void>}
+   */
+  async recordMigration ({ id, entry }) {
+    await this._tryNonidempotentDbOp(() => this._collection.updateOne({ _id: id }, { $push: { _history: entry } }))
   }
 
-  async getById ({ id }) {
-    return (await this.findById(arguments[0])) || throw new ObjectNotFoundError({
-      message: 'schemaVersion not found',
-      info: { id }
-    })
+  /**
+   * Returns the history of migrations of the identified schema version, oldest first.
+   *
+   * @return {Promise<object[]>}
+   */
+  async migrationHistory ({ id }) {
+    const doc = await this._tryDbOp(() => this._collection.findOne({ _id: id }, { projection: { _history: 1 } }))
+    return doc?._history || []
+  }
+
+  /**
+   * Extends the lease of the identified schema version's lock to the given expiry if the lock is still held by the given lock.
+   *
+   * @return {Promise<boolean>} Whether the lease was renewed.
+   */
+  async renewLock ({ id, lock, expires }) {
+    const { matchedCount } = await this._tryDbOp(() => this._collection.updateOne(
+      { _id: id, _locked: lock },
+      { $set: { _lockExpires: expires } }
+    ))
+    return matchedCount > 0
+  }
+
+  /**
+   * Releases the identified schema version's lock regardless of its holder or lease.
+   * Intended for operators recovering from failed migrations.
+   *
+   * @return {Promise<boolean>} Whether the schema version was locked.
+   */
+  async forceUnlock ({ id }) {
+    const { modifiedCount } = await this._tryDbOp(() => this._collection.updateOne(
+      { _id: id, _locked: { $nin: [false, null] } },
+      { $set: { _locked: false }, $unset: { _lockAcquired: '', _lockExpires: '' } }
+    ))
+    return modifiedCount > 0
   }
 }
 
@@ -1,17 +1,34 @@
 'use strict'
 
-const _ = {
-  cloneDeepWith: require('lodash.clonedeepwith')
-}
-const { Trait } = require('@ballistagroup/mutrait')
+const { Trait, superclass: extend } = require('@ballistagroup/mutrait')
 const uuid = require('uuid').v4
-const { MethodNotImplementedError } = require('@ballistagroup/error-support')
-const { ObjectNotFoundError, ObjectExistsError } = require('../errors')
-const { Enumeration } = require('@ballistagroup/enum-support')
+const { ObjectNotFoundError, ObjectExistsError, NonuniqueCriteriaError, UniqueKeyViolationError } = require('../errors')
+const Enumeration = require('@ballistagroup/enum-support')
 const { IllegalArgumentError } = require('@ballistagroup/error-support')
-
+const AuditStamping = require('../traits/AuditStamping')
+const Retrying = require('../traits/Retrying')
+const Instrumented = require('../traits/Instrumented')
+const translateMongooseError = require('./translateMongooseError')
+const { findPage } = require('./pagination')
+const converters = require('../mapping/converters')
+const { toTree, fromTree } = require('../mapping/graph')
+const Reference = require('../mapping/Reference')
+
+const { instrumented } = Instrumented
+
+const DEFAULT_PAGE_SIZE = 100
+
+/**
+ * Imparts persistence methods backed by a mongoose model, with the same semantics & errors as {@link MongoRepository} where they overlap.
+ * Each method accepts mongoose options, like `{ session }` to join a transaction.
+ * Errors are translated via {@link translateMongooseError}.
+ * Expresses {@link AuditStamping}, so documents written are stamped with creation & modification times and actors when `_auditStamping` is truthy;
+ * the model's schema must declare the stamp fields for them to be stored.
+ * Also expresses {@link Retrying}, so operations made via `_tryAsync` are retried upon transient failures when `_retryPolicy` is set,
+ * and {@link Instrumented}, so events around each operation are emitted to any `_instrumentationListeners`.
+ */
 const MongooseRepository = Trait(superclass =>
-  class extends superclass {
+  class extends extend(superclass).expressing(AuditStamping, Retrying, Instrumented) {
     _db
     _model
 
@@ -27,14 +44,7 @@ const MongooseRepository = Trait(superclass =>
 
     _getMapper (mapper, name) {
       name = name || mapper.name
-      return (
-        this._mapperCache[name] ||
-        (this._mapperCache[name] = ({ key, from, getterPrefix }) => {
-          const value = from[`${getterPrefix}${key}`]
-          if (value === undefined || value === null) return value
-          return Array.isArray(value) ? [...value.map(mapper)] : mapper(value)
-        })
-      )
+      return this._mapperCache[name] || (this._mapperCache[name] = propertyMapper(mapper))
     }
 
     _noOpMapper () {
@@ -61,53 +71,332 @@ const MongooseRepository = Trait(superclass =>
       return this._getMapper(enumeration.of, `enum:${enumeration.name}`)
     }
 
-    async insert (entity, options) {
-      if (await this.findById(entity.id)) { throw new ObjectExistsError({ info: { entity } }) }
-      return this.upsert(entity, options)
+    /**
+     * Two-way mappers, which are objects like `{ toDoc (value), toEntity (value) }`,
+     * can be given to {@link MongooseRepository#_mapProps} like one-way mappers & declared in {@link MongooseRepository#_propertyMappers},
+     * in which case they drive both {@link MongooseRepository#_toDocument} & the default {@link MongooseRepository#_fromDocument};
+     * overrides of the latter apply them by giving `this._propertyMappers` to {@link MongooseRepository#_mapProps}.
+     * They are never given `null` or `undefined`, and are applied to each element of arrays.
+     * The converters of the `mapping` module are two-way mappers.
+     */
+
+    /**
+     * Returns a two-way mapper from the given functions.
+     *
+     * @param {function} toDoc Converts an entity value to a document value.
+     * @param {function} toEntity Converts a document value to an entity value.
+     * @return {{toDoc: function, toEntity: function}}
+     */
+    _twoWayMapper ({ toDoc, toEntity }) {
+      if (typeof toDoc !== 'function' || typeof toEntity !== 'function') {
+        throw new IllegalArgumentError({ message: 'toDoc & toEntity functions required', info: { toDoc, toEntity } })
+      }
+      return { toDoc, toEntity }
+    }
+
+    /**
+     * Returns a two-way mapper of `Date`s; see {@link converters.date}.
+     */
+    _dateMapper () {
+      return converters.date()
+    }
+
+    /**
+     * Returns a two-way mapper of moments that preserves their time zones; see {@link converters.moment}.
+     */
+    _momentMapper () {
+      return converters.moment()
+    }
+
+    /**
+     * Returns a two-way mapper of numbers, or numeric strings if `numeric` is `false`, to & from `Decimal128`s; see {@link converters.decimal128}.
+     */
+    _decimal128Mapper ({ numeric } = {}) {
+      return converters.decimal128({ numeric })
+    }
+
+    /**
+     * Returns a two-way mapper of `Map`s to & from plain objects, whose values are mapped by the given two-way mapper, if any.
+     */
+    _mapMapper (values) {
+      return converters.map(values)
+    }
+
+    /**
+     * Returns a two-way mapper of sub-entities that defers to the `_toDocument` & `_fromDocument` methods of the given child,
+     * like another repository of the sub-entities' type, which may in turn declare mappers of its own.
+     *
+     * @param {object} child An object with `_toDocument (entity)` & `_fromDocument ({ plain, setterPrefix, getterPrefix })` methods.
+     * @return {{toDoc: function, toEntity: function}}
+     */
+    _subEntityMapper (child) {
+      return this._twoWayMapper({
+        toDoc: value => child._toDocument(value),
+        toEntity: value => child._fromDocument({ plain: value, setterPrefix: '_', getterPrefix: '_' })
+      })
     }
 
-    async upsert (entity, options) {
+    /**
+     * Returns a two-way mapper of value objects of the given type, whose properties are mapped as they're named,
+     * via any two-way mappers given by property name, and which are read without calling the type's constructor.
+     *
+     * @param {function} type The class of the value objects.
+     * @param {object} [mappers] The two-way mappers of the value objects' properties needing conversion, by property name.
+     * @return {{toDoc: function, toEntity: function}}
+     */
+    _valueObjectMapper (type, mappers = {}) {
+      return this._twoWayMapper({
+        toDoc: value => this._toMongoDocument(this._mapProps({ from: value, mappers, direction: 'toDoc' })),
+        toEntity: value => this._mapProps({ from: value, to: Object.create(type.prototype), mappers })
+      })
+    }
+
+    /**
+     * Returns a two-way mapper that maps to documents via each of the given two-way mappers in order & to entities in reverse order.
+     */
+    _composeMappers (...mappers) {
+      return converters.compose(...mappers)
+    }
+
+    /**
+     * Returns the two-way mappers, by property name without the backing property prefix `_`, of properties needing conversion;
+     * used by {@link MongooseRepository#_toDocument} & the default {@link MongooseRepository#_fromDocument},
+     * and intended to be given to {@link MongooseRepository#_mapProps} by overrides of the latter.
+     * This default implementation returns none.
+     *
+     * @return {object}
+     */
+    get _propertyMappers () {
+      return {}
+    }
+
+    /**
+     * Strictly inserts the given entity, giving it an `_id` if it has none.
+     *
+     * @param {object} entity
+     * @param {object} [options] The mongoose `Model.create` options, like `{ session }`.
+     * @return {Promise<object>} The given entity.
+     * @throws ObjectExistsError If an entity with the same `_id` already exists.
+     * @throws UniqueKeyViolationError If the document violates another unique index.
+     * @throws DocumentValidationError If the document fails validation by the model's schema.
+     */
+    @instrumented()
+    async insert (entity, options = {}) {
       if (!entity._id) entity._id = uuid()
-      return this._model
-        .findByIdAndUpdate(
-          entity._id,
-          this._toDocument(entity),
-          options || {
-            upsert: true,
-            overwrite: true
-          }
-        )
-        .exec()
+
+      const { created, updated } = await this._auditStamps()
+      const doc = Object.assign(this._toDocument(entity), created, updated)
+
+      try {
+        await this._tryAsync(async () => this._model.create([doc], options), options, { idempotent: false })
+      } catch (e) {
+        if (e instanceof UniqueKeyViolationError && isIdViolation(e)) {
+          throw new ObjectExistsError({ message: `entity with _id ${entity._id} already exists`, cause: e, info: { entity } })
+        }
+        throw e
+      }
+      return entity
     }
 
-    async exists (entity) {
-      return this.idExists(entity?.id)
+    /**
+     * Inserts or replaces the given entity, giving it an `_id` if it has none.
+     *
+     * @param {object} entity
+     * @param {object} [options] The mongoose `Model.findByIdAndUpdate` options, like `{ session }`; default is `{ upsert: true, overwrite: true }`.
+     * @return {Promise<object>} The given entity.
+     */
+    @instrumented()
+    async upsert (entity, options = {}) {
+      if (!entity._id) entity._id = uuid()
+
+      const doc = await this._stampDocument(this._toDocument(entity), entity._id, options)
+
+      await this._tryAsync(async () => this._model
+        .findByIdAndUpdate(entity._id, doc, { upsert: true, overwrite: true, ...options })
+        .exec(), options)
+      return entity
     }
 
-    async idExists (id) {
-      return !!(await this.findById(id))
+    /**
+     * Stamps the given document, about to replace the identified one, with modification stamps,
+     * carrying over the creation stamps of the document being replaced or creating them if there is none.
+     * Does nothing unless `this._auditStamping` is truthy.
+     *
+     * @param {object} doc The document about to be written.
+     * @param {*} id The id of the document being replaced.
+     * @param {object} [session] The session, if any, in which the document is being written.
+     * @return {Promise<object>} The given document.
+     * @private
+     */
+    async _stampDocument (doc, id, { session } = {}) {
+      if (!this._auditStamping) return doc
+
+      const { created, updated } = await this._auditStamps()
+
+      if (!(this._createdAtField in doc)) {
+        const existing = await this._tryAsync(async () => this._model.findById(id, this._createdFields.join(' '), { session }).lean().exec(), { session })
+        if (!existing) Object.assign(doc, created)
+        else this._createdFields.forEach(field => { if (existing[field] !== undefined) doc[field] = existing[field] })
+      }
+
+      return Object.assign(doc, updated)
     }
 
-    async findById (id) {
+    async exists (entity, options) {
+      return this.idExists(entity?._id, options)
+    }
+
+    async idExists (id, options) {
+      return !!(await this.findById(id, options))
+    }
+
+    /**
+     * Returns the identified entity or `null` if not found.
+     *
+     * @param {*} id
+     * @param {object} [options] The mongoose query options, like `{ session }`.
+     * @return {Promise<object|null>}
+     * @throws ValueCastError If the id cannot be cast to the type of the model's `_id`.
+     */
+    @instrumented()
+    async findById (id, options = {}) {
       if (!id) return null
 
-      const doc = await this._model.findById(id).exec()
-      return (
-        doc &&
-        this._fromDocument({
-          plain: doc.toObject(),
-          setterPrefix: '_',
-          getterPrefix: '_'
+      return this._toEntity(await this._tryAsync(async () => this._model.findById(id, null, options).exec(), options))
+    }
+
+    /**
+     * Returns the identified entity or throws `ObjectNotFoundError` if not found.
+     *
+     * @throws ObjectNotFoundError If the identified entity does not exist.
+     */
+    async getById (id, options) {
+      return (await this.findById(id, options)) || throw new ObjectNotFoundError({ info: { id } })
+    }
+
+    /**
+     * Deletes the identified entity, if it exists.
+     *
+     * @param {*} id
+     * @param {object} [options] The mongoose `Model.deleteOne` options, like `{ session }`.
+     * @return {Promise<boolean>} Whether the entity existed.
+     */
+    @instrumented({ count: deleted => deleted ? 1 : 0 })
+    async deleteById (id, options = {}) {
+      if (!id) throw new IllegalArgumentError({ info: { id } })
+
+      const result = await this._tryAsync(async () => this._model.deleteOne({ _id: id }, options).exec(), options)
+      return result.deletedCount === 1
+    }
+
+    /**
+     * Returns the entities matching the given criteria.
+     *
+     * @param {object} [criteria] The mongoose query filter; default is `{}`, which matches all entities.
+     * @param {object} [sort] The sort specification.
+     * @param {number} [skip] The number of matching entities to skip.
+     * @param {number} [limit] The maximum number of entities to return.
+     * @param {object} [projection] The projection to apply to each matching document before it's converted to an entity.
+     * @param {object} [options] Other mongoose query options, like `{ session }`.
+     * @return {Promise<object[]>}
+     */
+    @instrumented()
+    async find (criteria = {}, { sort, skip, limit, projection, ...options } = {}) {
+      return (await this._findDocuments(criteria, { sort, skip, limit, projection, ...options })).map(it => this._toEntity(it))
+    }
+
+    /**
+     * Returns the single entity matching the given criteria, or `null` if none match.
+     *
+     * @throws NonuniqueCriteriaError If more than one entity matches the given criteria.
+     * @see {@link MongooseRepository#find}
+     */
+    @instrumented()
+    async findOne (criteria = {}, { sort, skip, projection, ...options } = {}) {
+      const entities = await this.find(criteria, { sort, skip, limit: 2, projection, ...options })
+
+      if (entities.length > 1) {
+        throw new NonuniqueCriteriaError({
+          message: 'more than one object matches criteria',
+          info: { criteria }
         })
+      }
+
+      return entities[0] || null
+    }
+
+    /**
+     * Returns the number of entities matching the given criteria.
+     *
+     * @param {object} [criteria] The mongoose query filter; default is `{}`, which matches all entities.
+     * @param {number} [skip] The number of matching entities to skip.
+     * @param {number} [limit] The maximum number of entities to count.
+     * @param {object} [options] Other mongoose query options, like `{ session }`.
+     * @return {Promise<number>}
+     */
+    @instrumented()
+    async count (criteria = {}, { skip, limit, ...options } = {}) {
+      return this._tryAsync(async () => this._model
+        .countDocuments(criteria)
+        .setOptions(this._queryOptions({ skip, limit, ...options }))
+        .exec(), options)
+    }
+
+    /**
+     * Returns a page of the entities matching the given criteria using keyset pagination, like {@link MongoRepository#_findPage}.
+     *
+     * @param {object} [criteria] The mongoose query filter; default is `{}`, which matches all entities.
+     * @param {object} [sort] The sort specification; `_id` is appended as a tiebreaker if absent.
+     * @param {number} [limit] The maximum number of entities per page; default is `100`.
+     * @param {string} [token] The `nextToken` of the previous page, if any.
+     * @param {object} [projection] The projection to apply to each matching document before it's converted to an entity.
+     * @param {object} [options] Other mongoose query options, like `{ session }`.
+     * @return {Promise<{items: object[], nextToken: string|null, hasMore: boolean}>}
+     * @throws IllegalArgumentError If `limit` is not positive or `token` is malformed or does not match `sort`.
+     */
+    @instrumented()
+    async findPage (criteria = {}, { sort, limit = DEFAULT_PAGE_SIZE, token, projection, ...options } = {}) {
+      const page = await findPage(
+        (criteria, { sort, limit, projection }) => this._findDocuments(criteria, { sort, limit, projection, ...options }),
+        { filter: criteria, sort, limit, token, projection, plain: it => it.toObject() }
       )
+
+      return { ...page, items: page.items.map(it => this._toEntity(it)) }
+    }
+
+    /**
+     * Returns the mongoose documents matching the given criteria.
+     * @private
+     */
+    async _findDocuments (criteria, { projection, ...options }) {
+      return this._tryAsync(async () => this._model.find(criteria, projection, this._queryOptions(options)).exec(), options)
     }
 
-    async getById (id) {
-      return (await this.findById(id)) || throw new ObjectNotFoundError({ info: { id } })
+    /**
+     * Returns the given mongoose query options without any that are `null` or `undefined`.
+     * @private
+     */
+    _queryOptions (options) {
+      return Object.keys(options).reduce((accum, key) => {
+        if (options[key] !== undefined && options[key] !== null) accum[key] = options[key]
+        return accum
+      }, {})
+    }
+
+    /**
+     * Converts the given mongoose document into an entity via {@link MongooseRepository#_fromDocument}.
+     * @private
+     */
+    _toEntity (doc) {
+      return doc && this._fromDocument({
+        plain: doc.toObject(),
+        setterPrefix: '_',
+        getterPrefix: '_'
+      })
     }
 
     /**
-     * The customizer function to use when {@link _toTree} calls lodash's `cloneDeepWith` function.
+     * The customizer function to use when {@link _toTree} converts each value of the entity graph, given `(value, key, parent)`.
      * Note that if you're not converting a value, then return <code>undefined</code>.
      *
      * This default customizer returns a function that simply returns <code>undefined</code>.
@@ -120,15 +409,41 @@ const MongooseRepository = Trait(superclass =>
     get _toTreeCustomizer () {
       return () => undefined
       // remember: only return something if you're converting it!
-      // see https://github.com/lodash/lodash/issues/2846
+    }
+
+    /**
+     * Returns the classes of the entities & value objects of this repository's aggregate, including its root,
+     * which {@link _toTree} names in `__type` fields so that {@link _fromTree} can rebuild them.
+     * Objects of other classes are rebuilt as plain objects.
+     * This default implementation returns none.
+     *
+     * @return {function[]}
+     */
+    get _graphTypes () {
+      return []
+    }
+
+    /**
+     * Returns the repositories, by property name, of the aggregates referred to by reference properties,
+     * which are those that entity classes declare in their static `references` arrays, like `static references = ['_customer']`.
+     * {@link _fromTree} rebuilds the ids of references having a repository here as {@link Reference}s, which load their aggregates lazily via the repository's `findById`;
+     * the ids of other references are rebuilt as-is.
+     * This default implementation returns none.
+     *
+     * @return {object}
+     */
+    get _referenceRepositories () {
+      return {}
     }
 
     /**
      * Converts the given entity graph into a tree structure.
      * This method is called by {@link _toDocument}.
      *
-     * Subclasses must override this if the root entity of this repository type forms a graph.
-     * If the root entity only forms a tree, this method can probably be used.
+     * Shared objects & cycles are written once & referred to thereafter by markers like `{ __ref: [...path] }`,
+     * reference properties are written as ids, and objects of {@link _graphTypes} are written with their class names in `__type` fields;
+     * see {@link toTree}.
+     * The model's schema must allow the `__ref` & `__type` fields wherever they may occur, for example as `Mixed` paths.
      * This default implementation uses {@link _toTreeCustomizer}.
      *
      * @param entity
@@ -138,7 +453,27 @@ const MongooseRepository = Trait(superclass =>
      * @see _toDocument
      */
     _toTree (entity) {
-      return _.cloneDeepWith(entity, this._toTreeCustomizer)
+      return toTree(entity, { customizer: this._toTreeCustomizer, types: this._graphTypes })
+    }
+
+    /**
+     * Rebuilds the entity graph from the given tree written by {@link _toTree}, including its shared objects & cycles;
+     * see {@link fromTree}.
+     *
+     * @param {object} tree
+     * @return {*}
+     * @private
+     */
+    _fromTree (tree) {
+      const repositories = this._referenceRepositories
+
+      return fromTree(tree, {
+        types: this._graphTypes,
+        reference: (id, property) => {
+          const repository = repositories[property]
+          return repository ? new Reference({ id, load: id => repository.findById(id) }) : id
+        }
+      })
     }
 
     /**
@@ -153,12 +488,13 @@ const MongooseRepository = Trait(superclass =>
           message: 'functions cannot be converted to a mongo document'
         })
       }
+      if (it === null || it === undefined) return it
       if (Array.isArray(it)) return it.map(it => this._toMongoDocument(it))
-      if (Enumeration.isInstance(it)) return it.name
+      if (Enumeration.isEnumerationInstance(it)) return it.name
+      if (it instanceof Date || it instanceof RegExp || Buffer.isBuffer(it) || it?._bsontype) return it // stored as-is
+      if (it instanceof Map) return this._toMongoDocument(Object.fromEntries(it))
 
       if (typeof it === 'object') {
-        if (it === null) return it
-
         return Object.keys(it)
           .filter(k => typeof it[k] !== 'function' && it[k] !== undefined)
           .map(k => ({ [k]: this._toMongoDocument(it[k]) }))
@@ -170,19 +506,52 @@ const MongooseRepository = Trait(superclass =>
 
     /**
      * Extracts the persistable state of the given entity into a plain JavaScript tree structure, representing the document that will be stored.
-     * This method calls {@link _toTree} before extracting the persistable state.
+     * This method calls {@link _toTree} before extracting the persistable state,
+     * and converts the properties declared in {@link _propertyMappers}.
      *
      * @param entity
      * @returns {*}
      * @private
      * @see _toTree
+     * @see _propertyMappers
      */
     _toDocument (entity) {
-      return this._toMongoDocument(this._toTree(entity))
+      const mappers = this._propertyMappers
+      const mapped = this._mapProps({
+        keys: Object.keys(mappers).filter(key => entity[`_${key}`] !== undefined),
+        from: entity,
+        getterPrefix: '_',
+        setterPrefix: '_',
+        mappers,
+        direction: 'toDoc'
+      })
+
+      return this._toMongoDocument({ ...this._toTree(entity), ...mapped })
     }
 
+    /**
+     * Converts the given plain document into an entity.
+     * This default implementation rebuilds the entity graph via {@link _fromTree},
+     * then converts the properties declared in {@link _propertyMappers};
+     * subclasses that don't set {@link _graphTypes} must override this.
+     *
+     * @param {object} plain
+     * @return {*}
+     * @private
+     */
     _fromDocument ({ plain, entity, context = {}, setterPrefix = '' } = {}) {
-      throw new MethodNotImplementedError({ message: 'MongooseRepository#_fromDocument' })
+      const it = this._fromTree(plain)
+      if (!it || typeof it !== 'object') return it
+
+      const mappers = this._propertyMappers
+      return this._mapProps({
+        keys: Object.keys(mappers).filter(key => plain[`_${key}`] !== undefined),
+        from: plain,
+        to: it,
+        getterPrefix: '_',
+        setterPrefix: '_',
+        mappers
+      })
     }
 
     // /**
@@ -194,10 +563,12 @@ const MongooseRepository = Trait(superclass =>
     //  * @param {string} [setterPrefix] Optional property setter prefix to use when setting properties on {@param to}; defaults to the empty string (`''`).
     //  * @param {string} [getterPrefix] Optional property getter prefix to use when getting properties from {@param from}; defaults to the empty string (`''`).
     //  * @param {function|{ string: function }} [mappers] Optional property conversion function, or functions by property name; defaults to the identity mapping with array copying if the source property is an array.
+    //  * Two-way mappers may be given in place of functions.
+    //  * @param {string} [direction] The side of two-way mappers to use, either `'toEntity'` or `'toDoc'`; defaults to `'toEntity'`.
     //  * @return {*} The object mapped {@param to}.
     //  * @private
     //  */
-    _mapProps ({ keys, from, to, setterPrefix, getterPrefix, mappers } = {}) {
+    _mapProps ({ keys, from, to, setterPrefix, getterPrefix, mappers, direction = 'toEntity' } = {}) {
       from = from || {}
       to = to || {}
       setterPrefix = setterPrefix || ''
@@ -210,7 +581,9 @@ const MongooseRepository = Trait(superclass =>
         let map = (mappers && mappers[key]) || mappers
 
         let e
-        if (Enumeration.isClass(map)) {
+        if (isTwoWayMapper(map)) {
+          map = propertyMapper(map[direction])
+        } else if (typeof map === 'function' && Enumeration.isEnumerationClass(map)) {
           // then map is a reference to an enum class
           e = map
           map = this._toEnumMapper({ key, from, enumeration: e })
@@ -242,8 +615,22 @@ const MongooseRepository = Trait(superclass =>
       return DEFAULT_SET_OPTIONS
     }
 
-    _translateError (e) {
-      return e // TODO: translate exception into datastore-agnostic error
+    _instrumentedCollectionName () {
+      return this._model?.collection?.collectionName
+    }
+
+    /**
+     * Translates the given mongoose or mongodb error into a datastore-agnostic error, or returns it as-is if there is no translation.
+     * Override to customize translation.
+     *
+     * @param {Error} e The mongoose or mongodb error.
+     * @param {object} [opts] Additional arguments for the translated error's constructor.
+     * @return {Error}
+     * @see translateMongooseError
+     * @private
+     */
+    _translateError (e, opts) {
+      return translateMongooseError(e, opts)
     }
 
     _trySync (it) {
@@ -254,16 +641,52 @@ const MongooseRepository = Trait(superclass =>
       }
     }
 
-    async _tryAsync (it) {
-      try {
-        return await it()
-      } catch (x) {
-        throw this._translateError(x)
-      }
+    /**
+     * Calls the given `async` function, translating any error it throws,
+     * and retrying transient failures according to `this._retryPolicy` unless `idempotent` is `false`; see {@link Retrying}.
+     * Failures within a transaction, given by the `session` of the operation's options, are never retried,
+     * as the transaction must be retried as a whole.
+     *
+     * @param {function} it The `async` function.
+     * @param {object} [options] The mongoose options of the operation made by the function, like `{ session }`.
+     * @param {object} [arg2] The argument to be deconstructed.
+     * @param {boolean} [arg2.idempotent] Whether the operation may be retried; default is `true`.
+     * @private
+     */
+    async _tryAsync (it, { session } = {}, { idempotent = true } = {}) {
+      return this._retrying(async () => {
+        try {
+          return await it()
+        } catch (x) {
+          throw this._translateError(x)
+        }
+      }, { idempotent: idempotent && !session?.inTransaction() })
     }
   }
 )
 
+/**
+ * Returns whether the given unique key violation is of the `_id` index.
+ * @private
+ */
+const isIdViolation = e => e.info?.index === '_id_' || e.info?.keyValue?._id !== undefined
+
+/**
+ * Returns a property mapper that applies the given value conversion function to non-nullish values, or to each element of array values.
+ * @private
+ */
+const propertyMapper = convert => ({ key, from, getterPrefix }) => {
+  const value = from[`${getterPrefix}${key}`]
+  if (value === undefined || value === null) return value
+  return Array.isArray(value) ? [...value.map(it => convert(it))] : convert(value)
+}
+
+/**
+ * Returns whether the given mapper is two-way, like `{ toDoc (value), toEntity (value) }`.
+ * @private
+ */
+const isTwoWayMapper = it => typeof it?.toDoc === 'function' && typeof it?.toEntity === 'function'
+
 const DEFAULT_SET_OPTIONS = (MongooseRepository.DEFAULT_SET_OPTIONS = Object.freeze({ merge: true }))
 
 module.exports = MongooseRepository
@@ -1,4 +1,10 @@
 module.exports = {
+  InMemoryRepository: require('./InMemoryRepository'),
   MongoRepository: require('./MongoRepository'),
-  MongoSchemaVersionRepository: require('./MongoSchemaVersionRepository')
+  MongoOutboxRepository: require('./MongoOutboxRepository'),
+  MongoSchemaVersionRepository: require('./MongoSchemaVersionRepository'),
+  MongooseRepository: require('./MongooseRepository'),
+  recordingDb: require('./recordingDb'),
+  translateMongoError: require('./translateMongoError'),
+  translateMongooseError: require('./translateMongooseError')
 }
@@ -0,0 +1,126 @@
+'use strict'
+
+const { isDeepStrictEqual } = require('util')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { ObjectId } = require('mongodb')
+
+/**
+ * Support for keyset pagination, whose opaque continuation tokens encode the sort & the sort key values of the last entry of a page.
+ */
+
+/**
+ * Returns the value at the given dotted path in the given document.
+ * @private
+ */
+function valueAt (doc, path) {
+  return path.split('.').reduce((it, key) => it?.[key], doc)
+}
+
+/**
+ * Returns the given sort specification as `[key, direction]` pairs, where `direction` is `1` or `-1`.
+ * @private
+ */
+function sortKeysOf (sort) {
+  return Object.keys(sort).map(key => [key, sort[key] < 0 ? -1 : 1])
+}
+
+/**
+ * Encodes the given sort key values of the given sort into an opaque continuation token, preserving `Date`s & `ObjectId`s.
+ * @private
+ */
+function encodePageToken (sort, values) {
+  const tagged = values.map(it => {
+    if (it instanceof Date) return { $date: it.toISOString() }
+    if (it instanceof ObjectId) return { $oid: it.toHexString() }
+    return it
+  })
+
+  return Buffer.from(JSON.stringify({ s: sortKeysOf(sort), k: tagged })).toString('base64')
+}
+
+/**
+ * Decodes the given continuation token back into sort key values, verifying that it was encoded for the given sort,
+ * with the same keys in the same order & directions.
+ * @private
+ */
+function decodePageToken (token, sort) {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(token, 'base64').toString())
+  } catch (e) {
+    throw new IllegalArgumentError({ message: 'malformed page token', info: { token }, cause: e })
+  }
+
+  const keys = sortKeysOf(sort)
+  if (!Array.isArray(decoded?.k) || decoded.k.length !== keys.length || !isDeepStrictEqual(decoded.s, keys)) {
+    throw new IllegalArgumentError({ message: 'page token does not match sort', info: { token, sort } })
+  }
+
+  return decoded.k.map(it => {
+    if (it?.$date) return new Date(it.$date)
+    if (it?.$oid) return new ObjectId(it.$oid)
+    return it
+  })
+}
+
+/**
+ * Returns a filter matching entries that sort after the given sort key values.
+ * For sort keys `a, b, _id`, this is `a > va || (a = va && b > vb) || (a = va && b = vb && _id > vid)`, with `>` being `<` for descending keys.
+ * @private
+ */
+function keysetFilter (sort, values) {
+  const keys = Object.keys(sort)
+
+  return {
+    $or: keys.map((key, i) => keys.slice(0, i).reduce(
+      (accum, prior, j) => ({ ...accum, [prior]: values[j] }),
+      { [key]: { [sort[key] < 0 ? '$lt' : '$gt']: values[i] } }
+    ))
+  }
+}
+
+/**
+ * Returns a page of the entries matching the given filter that follow those of the page of the given token, if any,
+ * as `{ items, nextToken, hasMore }`, using the given function to find them.
+ * `_id` is appended to the sort as a tiebreaker if absent & inclusion projections are extended to include the sort keys.
+ *
+ * @param {function} find An `async` function given `(filter, { sort, limit, projection })` that returns the matching entries.
+ * @param {object} filter The filter.
+ * @param {object} sort The sort specification.
+ * @param {number} limit The maximum number of entries per page.
+ * @param {string} [token] The `nextToken` of the previous page, if any.
+ * @param {object} [projection] The projection.
+ * @param {function} [plain] A function returning the given entry as a plain object from which to take its sort key values.
+ * @return {Promise<{items: object[], nextToken: string|null, hasMore: boolean}>}
+ * @throws IllegalArgumentError If `limit` is not positive or `token` is malformed or does not match `sort`.
+ * @private
+ */
+async function findPage (find, { filter, sort = {}, limit, token, projection, plain = it => it }) {
+  if (!(limit > 0)) throw new IllegalArgumentError({ message: 'limit must be positive', info: { limit } })
+
+  sort = { ...sort }
+  if (!('_id' in sort)) sort._id = Object.values(sort).pop() || 1
+  const keys = Object.keys(sort)
+
+  if (token) filter = { $and: [filter, keysetFilter(sort, decodePageToken(token, sort))] }
+
+  if (projection && Object.values(projection).some(it => it)) { // inclusion projection must include sort keys
+    projection = keys.reduce((accum, key) => ({ ...accum, [key]: 1 }), { ...projection })
+  }
+
+  const docs = await find(filter, { sort, limit: limit + 1, projection })
+
+  const hasMore = docs.length > limit
+  const items = hasMore ? docs.slice(0, limit) : docs
+  const nextToken = hasMore ? encodePageToken(sort, keys.map(key => valueAt(plain(items[items.length - 1]), key))) : null
+
+  return { items, nextToken, hasMore }
+}
+
+module.exports = {
+  findPage,
+  valueAt,
+  encodePageToken,
+  decodePageToken,
+  keysetFilter
+}
@@ -0,0 +1,221 @@
+'use strict'
+
+/**
+ * The methods of `Db` that only read, which a recording proxy passes through to the real database.
+ */
+const DB_READS = Object.freeze(['listCollections', 'stats', 'watch'])
+
+/**
+ * The methods of `Collection` that only read, which a recording proxy passes through to the real collection.
+ */
+const COLLECTION_READS = Object.freeze([
+  'countDocuments',
+  'distinct',
+  'estimatedDocumentCount',
+  'find',
+  'findOne',
+  'indexExists',
+  'indexInformation',
+  'indexes',
+  'isCapped',
+  'listIndexes',
+  'options',
+  'stats',
+  'watch'
+])
+
+/**
+ * The methods of `Admin` that only read, which a recording proxy passes through to the real database.
+ */
+const ADMIN_READS = Object.freeze(['buildInfo', 'listDatabases', 'ping', 'replSetGetStatus', 'serverInfo', 'serverStatus'])
+
+/**
+ * The database commands that only read, in lower case, which the `command` method of a recording proxy passes through to the real database.
+ */
+const READ_COMMANDS = Object.freeze([
+  'buildinfo',
+  'collstats',
+  'connectionstatus',
+  'count',
+  'dbstats',
+  'distinct',
+  'find',
+  'hello',
+  'hostinfo',
+  'ismaster',
+  'listcollections',
+  'listdatabases',
+  'listindexes',
+  'ping',
+  'replsetgetstatus',
+  'serverstatus'
+])
+
+/**
+ * The aggregation stages that write.
+ */
+const WRITING_STAGES = Object.freeze(['$out', '$merge'])
+
+/**
+ * Returns a function that records its calls as operations on the given target instead of performing them.
+ * @private
+ */
+const recorder = (operations, target, operation) => async (...args) => {
+  operations.push({ target, operation, args })
+  return {}
+}
+
+/**
+ * Returns a function that performs the database commands of the given target that only read & records the others.
+ * @private
+ */
+const commandRecorder = (operations, target, name) => (command, ...args) => {
+  const commandName = Object.keys(command || {})[0]
+  if (READ_COMMANDS.includes(commandName?.toLowerCase())) return target.command(command, ...args)
+
+  return recorder(operations, name, 'command')(command, ...args)
+}
+
+/**
+ * Returns a stand-in of an aggregation cursor over no results.
+ * @private
+ */
+const emptyCursor = () => ({
+  toArray: async () => [],
+  next: async () => null,
+  hasNext: async () => false,
+  forEach: async () => {},
+  close: async () => {},
+  async * [Symbol.asyncIterator] () {}
+})
+
+/**
+ * Returns a stand-in of a bulk operation builder of the given collection
+ * that records, upon `execute`, the operations built as a `bulkWrite` operation.
+ * @private
+ */
+const recordingBulk = (operations, target, ordered) => {
+  const batch = []
+
+  const bulk = {
+    get length () {
+      return batch.length
+    },
+    insert (document) {
+      batch.push({ insertOne: { document } })
+      return bulk
+    },
+    find (filter) {
+      let upsert = false
+      const add = (name, spec = {}) => {
+        batch.push({ [name]: { filter, ...spec, ...(upsert && { upsert }) } })
+        return bulk
+      }
+
+      const operation = {
+        upsert () {
+          upsert = true
+          return operation
+        },
+        update: update => add('updateMany', { update }),
+        updateOne: update => add('updateOne', { update }),
+        replaceOne: replacement => add('replaceOne', { replacement }),
+        delete: () => add('deleteMany'),
+        deleteOne: () => add('deleteOne'),
+        remove: () => add('deleteMany'),
+        removeOne: () => add('deleteOne')
+      }
+      return operation
+    },
+    async execute (...args) {
+      operations.push({ target, operation: 'bulkWrite', args: [batch, { ...args[0], ordered }] })
+      return {}
+    }
+  }
+  return bulk
+}
+
+/**
+ * Returns a proxy of the given collection that records its writes in the given array.
+ * Aggregations are performed unless they write via `$out` or `$merge`, in which case they're recorded & yield no results,
+ * and bulk operation builders record their operations when executed.
+ * @private
+ */
+const recordingCollection = (collection, operations) => new Proxy(collection, {
+  get (target, property) {
+    const value = target[property]
+    if (typeof value !== 'function' || typeof property === 'symbol') return value
+    if (COLLECTION_READS.includes(property)) return value.bind(target)
+
+    switch (property) {
+      case 'aggregate':
+        return (pipeline = [], ...args) => {
+          if (!pipeline.some(stage => WRITING_STAGES.some(it => it in stage))) return target.aggregate(pipeline, ...args)
+
+          operations.push({ target: target.collectionName, operation: property, args: [pipeline, ...args] })
+          return emptyCursor()
+        }
+      case 'initializeOrderedBulkOp':
+      case 'initializeUnorderedBulkOp':
+        return () => recordingBulk(operations, target.collectionName, property === 'initializeOrderedBulkOp')
+      default:
+        return recorder(operations, target.collectionName, property)
+    }
+  }
+})
+
+/**
+ * Returns a proxy of the given `Admin` that records its writes in the given array, as operations on the target `'admin'`.
+ * @private
+ */
+const recordingAdmin = (admin, operations) => new Proxy(admin, {
+  get (target, property) {
+    const value = target[property]
+    if (typeof value !== 'function' || typeof property === 'symbol') return value
+    if (ADMIN_READS.includes(property)) return value.bind(target)
+
+    return property === 'command'
+      ? commandRecorder(operations, target, 'admin')
+      : recorder(operations, 'admin', property)
+  }
+})
+
+/**
+ * Returns a proxy of the given mongodb `Db` that, instead of writing, records each write in the given array of operations,
+ * each like `{ target, operation, args }`, where `target` is `'db'`, `'admin'` (for writes via `db.admin()`) or the name of the collection written,
+ * `operation` is the name of the method called & `args` are its arguments.
+ * Reads, like `find`, `countDocuments`, aggregations that don't write & commands that only read, like `ping` or `listIndexes`, are performed as usual,
+ * and collections & the `Admin` obtained via the proxy are themselves recording proxies, the collections' bulk operation builders record their operations as a `bulkWrite`.
+ * Recorded writes resolve to empty objects.
+ *
+ * @param {Db} db The database.
+ * @param {object[]} [operations] The array in which to record operations.
+ * @return {Db}
+ */
+const recordingDb = (db, operations = []) => new Proxy(db, {
+  get (target, property) {
+    const value = target[property]
+    if (typeof value !== 'function' || typeof property === 'symbol') return value
+    if (DB_READS.includes(property)) return value.bind(target)
+
+    switch (property) {
+      case 'collection':
+        return (...args) => recordingCollection(target.collection(...args), operations)
+      case 'collections':
+        return async (...args) => (await target.collections(...args)).map(it => recordingCollection(it, operations))
+      case 'command':
+        return commandRecorder(operations, target, 'db')
+      case 'admin':
+        return (...args) => recordingAdmin(target.admin(...args), operations)
+      case 'createCollection':
+        return async (name, ...args) => {
+          operations.push({ target: 'db', operation: property, args: [name, ...args] })
+          return recordingCollection(target.collection(name), operations)
+        }
+      default:
+        return recorder(operations, 'db', property)
+    }
+  }
+})
+
+module.exports = recordingDb
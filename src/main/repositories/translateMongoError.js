@@ -0,0 +1,164 @@
+'use strict'
+
+const {
+  MongoRepositoryError,
+  DatastoreConnectionError,
+  DatastoreTimeoutError,
+  DocumentValidationError,
+  PrimaryUnavailableError,
+  UnauthorizedError,
+  UniqueKeyViolationError,
+  WriteConflictError
+} = require('../errors')
+
+/**
+ * MongoDB server error codes; see https://github.com/mongodb/mongo/blob/master/src/mongo/base/error_codes.yml.
+ */
+const ERROR_CODES = {
+  HOST_UNREACHABLE: 6,
+  HOST_NOT_FOUND: 7,
+  UNAUTHORIZED: 13,
+  AUTHENTICATION_FAILED: 18,
+  EXCEEDED_TIME_LIMIT: 50,
+  NETWORK_TIMEOUT: 89,
+  SHUTDOWN_IN_PROGRESS: 91,
+  WRITE_CONFLICT: 112,
+  DOCUMENT_VALIDATION_FAILURE: 121,
+  PRIMARY_STEPPED_DOWN: 189,
+  SOCKET_EXCEPTION: 9001,
+  NOT_WRITABLE_PRIMARY: 10107,
+  DUPLICATE_KEY: 11000,
+  DUPLICATE_KEY_ON_UPDATE: 11001,
+  INTERRUPTED_AT_SHUTDOWN: 11600,
+  INTERRUPTED_DUE_TO_REPL_STATE_CHANGE: 11602,
+  NOT_PRIMARY_NO_SECONDARY_OK: 13435,
+  NOT_PRIMARY_OR_SECONDARY: 13436
+}
+
+/**
+ * Returns the index name & duplicated key values of the given duplicate key error.
+ * Servers before 4.2 don't report `keyValue`, so the key values are then taken as text from the message.
+ */
+const duplicateKeyInfo = e => {
+  const message = e.errmsg || e.message || ''
+  return {
+    index: message.match(/index: (\S+)/)?.[1] || null,
+    keyValue: e.keyValue || e.err?.keyValue || message.match(/dup key: ({.*})/)?.[1] || null
+  }
+}
+
+/**
+ * Returns the failing validation rule of the given document validation error, reported by servers 5.0 & later.
+ */
+const documentValidationInfo = e => ({
+  rule: e.errInfo?.details || e.err?.errInfo?.details || null
+})
+
+/**
+ * Maps mongodb errors, by server code or driver error name, to datastore-agnostic errors.
+ * The first matching translation wins.
+ */
+const TRANSLATIONS = [
+  {
+    codes: [ERROR_CODES.DUPLICATE_KEY, ERROR_CODES.DUPLICATE_KEY_ON_UPDATE],
+    error: UniqueKeyViolationError,
+    retryable: false,
+    info: duplicateKeyInfo
+  },
+  {
+    codes: [ERROR_CODES.DOCUMENT_VALIDATION_FAILURE],
+    error: DocumentValidationError,
+    retryable: false,
+    info: documentValidationInfo
+  },
+  {
+    codes: [ERROR_CODES.WRITE_CONFLICT],
+    error: WriteConflictError,
+    retryable: true
+  },
+  {
+    codes: [
+      ERROR_CODES.NOT_WRITABLE_PRIMARY,
+      ERROR_CODES.NOT_PRIMARY_NO_SECONDARY_OK,
+      ERROR_CODES.NOT_PRIMARY_OR_SECONDARY,
+      ERROR_CODES.PRIMARY_STEPPED_DOWN,
+      ERROR_CODES.INTERRUPTED_DUE_TO_REPL_STATE_CHANGE,
+      ERROR_CODES.INTERRUPTED_AT_SHUTDOWN,
+      ERROR_CODES.SHUTDOWN_IN_PROGRESS
+    ],
+    error: PrimaryUnavailableError,
+    retryable: true
+  },
+  {
+    codes: [ERROR_CODES.EXCEEDED_TIME_LIMIT], // maxTimeMS exceeded, which would only be exceeded again
+    error: DatastoreTimeoutError,
+    retryable: false
+  },
+  {
+    names: ['MongoTimeoutError', 'MongoServerSelectionError', 'MongoNetworkTimeoutError'],
+    error: DatastoreTimeoutError,
+    retryable: true
+  },
+  {
+    codes: [ERROR_CODES.HOST_UNREACHABLE, ERROR_CODES.HOST_NOT_FOUND, ERROR_CODES.NETWORK_TIMEOUT, ERROR_CODES.SOCKET_EXCEPTION],
+    names: ['MongoNetworkError'],
+    error: DatastoreConnectionError,
+    retryable: true
+  },
+  {
+    codes: [ERROR_CODES.UNAUTHORIZED, ERROR_CODES.AUTHENTICATION_FAILED],
+    error: UnauthorizedError,
+    retryable: false
+  }
+]
+
+/**
+ * Translates the given mongodb error into a datastore-agnostic error, or returns it as-is & unmodified if there is no translation;
+ * see {@link translateMongoError.isRetryable} regarding the retryability of errors without translations.
+ * Translated errors have the mongodb error as their `cause`, structured details in their `info`,
+ * and a `retryable` property indicating whether the failed operation may succeed if retried.
+ * Errors that have already been translated are returned as-is.
+ *
+ * @param {Error} e The mongodb error.
+ * @param {object} [opts] Additional arguments for the translated error's constructor, like `message`.
+ * @return {Error}
+ */
+const translateMongoError = (e, opts) => {
+  if (!e || e instanceof MongoRepositoryError) return e
+
+  const translation = TRANSLATIONS.find(it => it.codes?.includes(e.code) || it.names?.includes(e.name))
+  if (!translation) return e
+
+  const { error: TranslatedError, retryable, info } = translation
+  const error = new TranslatedError({
+    ...opts,
+    cause: e,
+    info: { ...info?.(e), ...opts?.info }
+  })
+  error.retryable = retryable || hasRetryableLabel(e)
+
+  return error
+}
+
+const hasRetryableLabel = e =>
+  (typeof e.hasErrorLabel === 'function' ? e.hasErrorLabel('RetryableWriteError') : e.errorLabels?.includes('RetryableWriteError')) || false
+
+/**
+ * Returns whether the operation that failed with the given error may succeed if retried, without modifying the error:
+ * that of its translation if it has one, or else whether it's marked `retryable` or labeled as a retryable write.
+ *
+ * @param {*} e The error.
+ * @return {boolean}
+ */
+translateMongoError.isRetryable = e => {
+  if (!e || typeof e !== 'object') return false
+
+  const translated = translateMongoError(e)
+  if (translated !== e) return translated.retryable === true
+
+  return e.retryable === true || hasRetryableLabel(e)
+}
+
+translateMongoError.ERROR_CODES = ERROR_CODES
+
+module.exports = translateMongoError
@@ -0,0 +1,69 @@
+'use strict'
+
+const {
+  MongoRepositoryError,
+  DatastoreTimeoutError,
+  DocumentValidationError,
+  ObjectNotFoundError,
+  OptimisticLockViolationError,
+  ValueCastError
+} = require('../errors')
+const translateMongoError = require('./translateMongoError')
+
+/**
+ * Returns the details of each path that failed validation, by path.
+ */
+const validationInfo = e => ({
+  rule: null,
+  errors: Object.keys(e.errors || {}).reduce((accum, path) => {
+    const { kind, message, value } = e.errors[path]
+    return { ...accum, [path]: { kind, message, value } }
+  }, {})
+})
+
+const castInfo = e => ({
+  path: e.path,
+  kind: e.kind,
+  value: e.value
+})
+
+/**
+ * Maps mongoose errors, by name, to datastore-agnostic errors.
+ */
+const TRANSLATIONS = {
+  ValidationError: { error: DocumentValidationError, info: validationInfo },
+  CastError: { error: ValueCastError, info: castInfo },
+  DocumentNotFoundError: { error: ObjectNotFoundError },
+  VersionError: { error: OptimisticLockViolationError },
+  MongooseServerSelectionError: { error: DatastoreTimeoutError, retryable: true }
+}
+
+/**
+ * Translates the given mongoose error into a datastore-agnostic error,
+ * deferring to {@link translateMongoError} for errors raised by the mongodb driver, like duplicate key errors,
+ * or returns it as-is if there is no translation.
+ * Errors that have already been translated are returned as-is.
+ *
+ * @param {Error} e The mongoose error.
+ * @param {object} [opts] Additional arguments for the translated error's constructor, like `message`.
+ * @return {Error}
+ */
+const translateMongooseError = (e, opts) => {
+  if (!e || e instanceof MongoRepositoryError) return e
+
+  const translation = TRANSLATIONS[e.name]
+  if (!translation) return translateMongoError(e, opts)
+
+  const { error: TranslatedError, retryable = false, info } = translation
+  const error = new TranslatedError({
+    message: e.message,
+    ...opts,
+    cause: e,
+    info: { ...info?.(e), ...opts?.info }
+  })
+  error.retryable = retryable
+
+  return error
+}
+
+module.exports = translateMongooseError
@@ -0,0 +1,96 @@
+'use strict'
+
+const { Trait } = require('@ballistagroup/mutrait')
+
+/**
+ * Imparts to a repository the ability to stamp creation & modification times and actors onto the documents it writes.
+ * Stamping is off unless `_auditStamping` is truthy.
+ *
+ * The field names, the clock & the source of the acting principal are all configurable via properties, for example:
+ * ```
+ * class CustomerRepository extends traits(MongoRepository) {
+ *   _auditStamping = true
+ *   _createdAtField = 'createdAt'
+ *   _actorProvider = () => requestContext.get('user')?.id
+ * }
+ * ```
+ */
+const AuditStamping = Trait(superclass =>
+  class extends superclass {
+    _auditStamping = false // subclasses should set to true to stamp documents when written
+    _createdAtField = '_createdAt'
+    _createdByField = '_createdBy'
+    _updatedAtField = '_updatedAt'
+    _updatedByField = '_updatedBy'
+    _clock = () => new Date() // tests can replace this with a function returning a fixed time
+    _actorProvider // optional, possibly async, function returning the acting principal, like the authenticated user's id
+
+    /**
+     * Returns the current time according to `this._clock`.
+     *
+     * @return {Date}
+     * @private
+     */
+    _now () {
+      return this._clock()
+    }
+
+    /**
+     * Returns the acting principal according to `this._actorProvider`, or `undefined` if there is none.
+     *
+     * @return {Promise<*>}
+     * @private
+     */
+    async _currentActor () {
+      return this._actorProvider ? this._actorProvider() : undefined
+    }
+
+    /**
+     * Returns the names of the fields stamped only when a document is created.
+     *
+     * @return {string[]}
+     * @private
+     */
+    get _createdFields () {
+      return [this._createdAtField, this._createdByField]
+    }
+
+    /**
+     * Returns the fields to stamp onto a document being created & the fields to stamp onto a document being modified.
+     * Both are empty if `this._auditStamping` is falsy; the actor fields are omitted if there is no current actor.
+     *
+     * @return {Promise<{created: object, updated: object}>}
+     * @private
+     */
+    async _auditStamps () {
+      if (!this._auditStamping) return { created: {}, updated: {} }
+
+      const at = this._now()
+      const by = await this._currentActor()
+
+      const created = { [this._createdAtField]: at }
+      const updated = { [this._updatedAtField]: at }
+      if (by !== undefined && by !== null) {
+        created[this._createdByField] = by
+        updated[this._updatedByField] = by
+      }
+
+      return { created, updated }
+    }
+
+    /**
+     * Returns a shallow copy of the given document without the fields stamped only upon creation.
+     *
+     * @param {object} doc
+     * @return {object}
+     * @private
+     */
+    _withoutCreatedFields (doc) {
+      const it = { ...doc }
+      this._createdFields.forEach(field => delete it[field])
+      return it
+    }
+  }
+)
+
+module.exports = AuditStamping
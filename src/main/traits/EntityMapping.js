@@ -0,0 +1,192 @@
+'use strict'
+
+const { Trait } = require('@ballistagroup/mutrait')
+const { MissingRequiredArgumentError, IllegalArgumentError } = require('@ballistagroup/error-support')
+const { ObjectNotFoundError } = require('../errors')
+
+/**
+ * Imparts to a {@link MongoRepository} conversions between entities & documents generated from a declarative `_mapping`,
+ * plus typed public `insert`, `update`, `upsert`, `findById` & `getById` methods built on them.
+ *
+ * `_mapping` maps each persisted entity property, usually a backing property like `_name`, to its document field via one of:
+ * * `true`, to use a field of the same name,
+ * * a string, naming the field, or
+ * * an object like `{ field, converter, type, mapping, array }`, where
+ *   * `field` names the field; default is the property's name,
+ *   * `converter` converts values, like those of {@link converters}, each like `{ toDoc (value), toEntity (value) }`,
+ *   * `mapping` maps a nested object in the same way, which, when read, is created with the prototype of `type` if given, and
+ *   * `array`, if truthy, applies `converter` or `mapping` to each element of an array value.
+ *
+ * `_id` is always mapped to `_id`. Properties that are `null` or `undefined` are written as `null`,
+ * so that updates clear them, except `_id`, which is not written if absent, and fields that are `null` are read as `undefined`.
+ * Entities are read without calling their constructors. For example:
+ * ```
+ * class CustomerRepository extends traits(MongoRepository, EntityMapping) {
+ *   _type = Customer
+ *   _mapping = {
+ *     _name: 'name',
+ *     _since: { converter: converters.date() },
+ *     _status: { converter: converters.enumeration(CustomerStatus) },
+ *     _addresses: { array: true, type: Address, mapping: { _street: 'street', _city: 'city' } }
+ *   }
+ * }
+ * ```
+ */
+const EntityMapping = Trait(superclass =>
+  class extends superclass {
+    _mapping = {} // subclasses should set to the mapping of entity properties to document fields
+
+    /**
+     * Converts the given entity into a document according to `this._mapping`.
+     *
+     * @param {object} entity
+     * @return {object}
+     * @private
+     */
+    _entityToDoc (entity) {
+      return entity && toDoc(entity, compiled(this._mapping))
+    }
+
+    /**
+     * Converts the given document into an entity of type `this._type` according to `this._mapping`, without calling its constructor.
+     *
+     * @param {object} doc
+     * @param {object} [entity] The entity into which to read the document; default is a new one.
+     * @return {object}
+     * @private
+     */
+    _docToEntity (doc, entity = Object.create(this._type.prototype)) {
+      return doc && toEntity(doc, compiled(this._mapping), entity)
+    }
+
+    /**
+     * Strictly inserts the given entity, which receives any `_id` generated & any other mapped fields set by the write, like audit stamps.
+     *
+     * @throws UniqueKeyViolationError If the entity already exists.
+     */
+    async insert (entity, { options } = {}) {
+      return this._writeEntity('_insert', entity, { options })
+    }
+
+    /**
+     * Strictly updates the given entity.
+     *
+     * @throws ObjectNotFoundError If the entity does not exist.
+     */
+    async update (entity, { options } = {}) {
+      return this._writeEntity('_update', entity, { options })
+    }
+
+    /**
+     * Inserts or updates the given entity.
+     */
+    async upsert (entity, { options } = {}) {
+      return this._writeEntity('_upsert', entity, { options })
+    }
+
+    /**
+     * Returns the identified entity or `null` if not found.
+     */
+    async findById (id, { options } = {}) {
+      return this._docToEntity(await this._findById(id, { options }))
+    }
+
+    /**
+     * Returns the identified entity or throws `ObjectNotFoundError` if not found.
+     *
+     * @throws ObjectNotFoundError If the entity does not exist.
+     */
+    async getById (id, { options } = {}) {
+      return (await this.findById(id, { options })) || throw new ObjectNotFoundError({
+        message: `${this._type.name} not found`,
+        info: { id }
+      })
+    }
+
+    /**
+     * Asserts that the given entity is of type `this._type`, writes its document via the given write method,
+     * then reads back into the entity the document as written.
+     * @private
+     */
+    async _writeEntity (method, entity, { options } = {}) {
+      if (!entity) throw new MissingRequiredArgumentError({ message: `${this._type.name} required` })
+      if (!(entity instanceof this._type)) throw new IllegalArgumentError({ message: `type ${this._type.name} required`, info: { given: entity } })
+
+      return this._docToEntity(await this[method](this._entityToDoc(entity), { options }), entity)
+    }
+  }
+)
+
+/**
+ * Returns the given mapping as an array of `{ property, field, converter, mapping, type, array }`.
+ * @private
+ */
+const compile = mapping => Object.keys(mapping).map(property => {
+  let it = mapping[property]
+  if (it === true) it = {}
+  else if (typeof it === 'string') it = { field: it }
+  else if (!it || typeof it !== 'object') throw new IllegalArgumentError({ message: `invalid mapping of ${property}`, info: { mapping: it } })
+
+  const { field = property, converter, mapping: nested, type, array = false } = it
+  if (converter && (typeof converter.toDoc !== 'function' || typeof converter.toEntity !== 'function')) {
+    throw new IllegalArgumentError({ message: `invalid converter of ${property}`, info: { converter } })
+  }
+  if (converter && nested) throw new IllegalArgumentError({ message: `either converter or mapping of ${property} allowed`, info: { mapping: it } })
+
+  return { property, field, converter, mapping: nested && compile(nested), type, array }
+})
+
+/**
+ * Caches compiled mappings by the mappings they were compiled from.
+ * @private
+ */
+const compilations = new WeakMap()
+
+/**
+ * Returns the given mapping, plus that of `_id`, compiled, compiling it upon first use.
+ * @private
+ */
+const compiled = mapping => {
+  if (!compilations.has(mapping)) compilations.set(mapping, compile({ _id: true, ...mapping }))
+  return compilations.get(mapping)
+}
+
+const isNullish = it => it === null || it === undefined
+
+/**
+ * Returns the given value converted for a document according to the given compiled property mapping.
+ * @private
+ */
+const valueToDoc = (value, { converter, mapping }) => {
+  if (isNullish(value)) return value
+  if (converter) return converter.toDoc(value)
+  if (mapping) return toDoc(value, mapping)
+  return value
+}
+
+/**
+ * Returns the given document value converted for an entity according to the given compiled property mapping.
+ * @private
+ */
+const valueToEntity = (value, { converter, mapping, type }) => {
+  if (isNullish(value)) return value
+  if (converter) return converter.toEntity(value)
+  if (mapping) return toEntity(value, mapping, type ? Object.create(type.prototype) : {})
+  return value
+}
+
+const toDoc = (entity, mapping) => mapping.reduce((doc, it) => {
+  const value = entity[it.property]
+  if (!isNullish(value)) doc[it.field] = it.array && Array.isArray(value) ? value.map(element => valueToDoc(element, it)) : valueToDoc(value, it)
+  else if (it.property !== '_id') doc[it.field] = null
+  return doc
+}, {})
+
+const toEntity = (doc, mapping, entity) => mapping.reduce((entity, it) => {
+  const value = doc[it.field]
+  if (value === null) entity[it.property] = undefined
+  else if (value !== undefined) entity[it.property] = it.array && Array.isArray(value) ? value.map(element => valueToEntity(element, it)) : valueToEntity(value, it)
+  return entity
+}, entity)
+
+module.exports = EntityMapping
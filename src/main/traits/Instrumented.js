@@ -0,0 +1,137 @@
+'use strict'
+
+const { AsyncLocalStorage } = require('async_hooks')
+const { Trait } = require('@ballistagroup/mutrait')
+
+/**
+ * Holds the set of repositories whose instrumented operations are in progress across asynchronous calls made within them,
+ * so that operations that a repository performs via its other operations are only instrumented once.
+ * @private
+ */
+const instrumentationContext = new AsyncLocalStorage()
+
+/**
+ * Imparts to a repository the ability to emit structured events around its operations to pluggable listeners.
+ * Each listener is an object with any of the following methods, each of which is given an event:
+ * * `before({ repository, operation, collection })`, called before the operation,
+ * * `after({ repository, operation, collection, durationMillis, count })`, called after the operation succeeds, and
+ * * `error({ repository, operation, collection, durationMillis, error })`, called after the operation fails, with the translated error.
+ *
+ * Listeners are called synchronously & must not throw; any error they throw is ignored so as not to affect the operation.
+ * Only the outermost of a repository's operations emits events; operations it performs while performing another, like `_find` while `_findOne`, don't.
+ * Operations are instrumented by decorating their methods with {@link Instrumented.instrumented}, for example:
+ * ```
+ * class CustomerRepository extends traits(MongoRepository) {
+ *   _instrumentationListeners = [metricsCollector, { error: ({ operation, error }) => log.error(operation, error) }]
+ * }
+ * ```
+ */
+const Instrumented = Trait(superclass =>
+  class extends superclass {
+    _instrumentationListeners = [] // subclasses should add listeners to receive events around operations
+    _repositoryName // the name of this repository in events; default is the name of its class
+
+    /**
+     * Calls the given function as the given operation, emitting events to `this._instrumentationListeners`
+     * unless another operation of this repository is in progress in the current asynchronous context.
+     *
+     * @param {string} operation The name of the operation, like `'insert'`.
+     * @param {function} fn The `async` function performing the operation.
+     * @param {*} [collection] The collection on which the operation is performed, given to {@link Instrumented#_instrumentedCollectionName}.
+     * @param {function} [count] A function taking the result of `fn` & returning the number of documents involved.
+     * @return {Promise<*>} What `fn` returns.
+     * @private
+     */
+    async _instrumenting (operation, fn, { collection, count = countOf } = {}) {
+      if (!this._instrumentationListeners?.length) return fn()
+
+      const active = instrumentationContext.getStore()
+      if (active?.has(this)) return fn()
+
+      const event = {
+        repository: this._repositoryName || this.constructor.name,
+        operation,
+        collection: this._instrumentedCollectionName(collection)
+      }
+      this._emitInstrumentationEvent('before', event)
+
+      const start = process.hrtime.bigint()
+      const durationMillis = () => Number(process.hrtime.bigint() - start) / 1e6
+
+      try {
+        const result = await instrumentationContext.run(new Set(active).add(this), fn)
+        this._emitInstrumentationEvent('after', { ...event, durationMillis: durationMillis(), count: count(result) })
+        return result
+      } catch (e) {
+        this._emitInstrumentationEvent('error', { ...event, durationMillis: durationMillis(), error: this._translateError ? this._translateError(e) : e })
+        throw e
+      }
+    }
+
+    /**
+     * Returns the name of the given collection, or of this repository's default collection if none is given, for use in events.
+     *
+     * @param {*} [collection]
+     * @return {string|undefined}
+     * @private
+     */
+    _instrumentedCollectionName (collection) {
+      return collection?.collectionName
+    }
+
+    /**
+     * Calls the method of the given name of each listener with the given event, ignoring any error thrown.
+     * @private
+     */
+    _emitInstrumentationEvent (name, event) {
+      for (const listener of this._instrumentationListeners) {
+        try {
+          if (typeof listener[name] === 'function') listener[name](event)
+        } catch (e) {
+          // listeners must not affect operations
+        }
+      }
+    }
+  }
+)
+
+/**
+ * Returns the number of documents involved in an operation, given its result:
+ * the length of arrays & of pages' `items`, numbers as-is, `1` or `0` for booleans & other values, and `0` for nullish values.
+ * @private
+ */
+const countOf = result => {
+  if (result === null || result === undefined) return 0
+  if (Array.isArray(result)) return result.length
+  if (Array.isArray(result.items)) return result.items.length
+  if (typeof result === 'number') return result
+  if (typeof result === 'boolean') return result ? 1 : 0
+  return 1
+}
+
+/**
+ * A method decorator that instruments the decorated `async` method via {@link Instrumented#_instrumenting}.
+ * The collection is taken from the `collection` property of the method's options argument.
+ *
+ * @param {string} [operation] The name of the operation; default is the method's name without leading underscores.
+ * @param {number} [optionsArg] The index of the method's options argument; default is `1`.
+ * @param {function} [count] A function taking the method's result & arguments & returning the number of documents involved.
+ * @return {function} The decorator.
+ */
+const instrumented = ({ operation, optionsArg = 1, count } = {}) => (target, name, descriptor) => {
+  const method = descriptor.value
+  operation = operation || name.replace(/^_+/, '')
+
+  descriptor.value = async function (...args) {
+    return this._instrumenting(operation, () => method.apply(this, args), {
+      collection: args[optionsArg]?.collection,
+      count: count ? result => count(result, args) : undefined
+    })
+  }
+
+  return descriptor
+}
+
+Instrumented.instrumented = instrumented
+
+module.exports = Instrumented
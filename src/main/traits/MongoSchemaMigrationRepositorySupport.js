@@ -1,25 +1,120 @@
 'use strict'
 
-const fs = require('fs')
 const MongoSchemaVersionRepository = require('../repositories/MongoSchemaVersionRepository')
+const recordingDb = require('../repositories/recordingDb')
 const SchemaVersion = require('../entities/SchemaVersion')
+const sources = require('../migrations/sources')
 const { Trait } = require('@ballistagroup/mutrait')
-const { MissingRequiredArgumentError } = require('@ballistagroup/error-support')
+const { MissingRequiredArgumentError, IllegalArgumentError } = require('@ballistagroup/error-support')
+const {
+  ObjectNotFoundError,
+  SchemaMigrationError,
+  IrreversibleMigrationError,
+  SchemaLockTimeoutError,
+  SchemaLockLostError,
+  MigrationChecksumError,
+  MigrationFailedError,
+  UniqueKeyViolationError
+} = require('../errors')
 const semver = require('semver')
 const Promise = require('bluebird')
 
+const DEFAULT_LOCK_PAUSE_SECONDS = 1
+const DEFAULT_LOCK_LEASE_SECONDS = 60
+const DEFAULT_LOCK_MAX_WAIT_SECONDS = 300
+
+/**
+ * Returns the schema version lock's timings, in milliseconds, from the given `_ensureSchema` options.
+ * @private
+ */
+const leaseOptions = options => {
+  const leaseSeconds = options?.schemaVersionLockLeaseSeconds || DEFAULT_LOCK_LEASE_SECONDS
+
+  return {
+    pauseMillis: (options?.schemaVersionLockPauseSeconds || DEFAULT_LOCK_PAUSE_SECONDS) * 1000,
+    leaseMillis: leaseSeconds * 1000,
+    heartbeatMillis: (options?.schemaVersionLockHeartbeatSeconds || leaseSeconds / 3) * 1000,
+    maxWaitMillis: (options?.schemaVersionLockMaxWaitSeconds || DEFAULT_LOCK_MAX_WAIT_SECONDS) * 1000
+  }
+}
+
+/**
+ * Returns the given `_ensureSchema` options without those governing the schema version lock & migrations, for creating collections.
+ * @private
+ */
+const collectionOptions = options => options && Object.keys(options)
+  .filter(it => !it.startsWith('schemaVersionLock') && !it.startsWith('schemaMigration'))
+  .reduce((accum, it) => ({ ...accum, [it]: options[it] }), {})
+
+/**
+ * Returns whether the given database's deployment supports transactions, which require a replica set or sharded cluster.
+ * @private
+ */
+const supportsTransactions = async db => {
+  const { setName, msg } = await db.admin().command({ isMaster: 1 })
+  return Boolean(setName) || msg === 'isdbgrid'
+}
+
+/**
+ * Returns the plain, storable details of the given error.
+ * @private
+ */
+const errorDetails = e => ({
+  name: e?.name || 'Error',
+  message: e?.message || String(e),
+  ...(e?.code !== undefined && { code: e.code })
+})
+
+/**
+ * Imparts static methods that create & migrate a repository's collection according to its `SchemaVersion`.
+ *
+ * Migrations come from a `migrationSource` (see {@link sources}), or, if none is given, from the files & directories of `migrationsDir`
+ * (see {@link sources.filesystem}), each of which defines either
+ * an `async` function that migrates up, or an object like `{ up, down, irreversible }`, where
+ * `up` & `down` are `async` functions given `{ db, name, schemaVersionRepository, schemaVersion, session }` that migrate up & down respectively,
+ * and `irreversible`, if `true`, declares that the migration cannot be rolled back.
+ *
+ * Each migration runs as a step that, upon success, stores the schema version it results in,
+ * so that a failed run is resumed from the first migration that was not applied.
+ * Steps run within transactions if a `client` is given, `options.schemaMigrationTransactions` is truthy & the deployment supports transactions,
+ * in which case `session` is that of the transaction, which repositories sharing the client join automatically,
+ * but which must be given explicitly to driver methods; otherwise, `session` is `undefined`.
+ */
 const MongoSchemaMigrationRepositorySupport = Trait(superclass =>
   class extends superclass {
     /**
      * Create and / or migrate schema
+     *
+     * While creating or migrating, the schema version is locked by a lease that's renewed by a heartbeat until done.
+     * Other processes wait for the lock's release, up to a maximum, & take over locks whose leases have expired.
+     * Upon the lock's release, a waiting process whose schema is still behind the package's version resumes the migration itself.
+     * A schema without a stored version is created at the package's version, but stored as being created
+     * until its collection, indexes & seed data are in place, so that other processes wait for it & a failed creation is redone.
+     * Versions are stored only while the lock is held, so a process that has lost its lock stops with a {@link SchemaLockLostError}.
+     * The lock is governed by the following `options`, which are not passed on when creating the collection:
+     * * `schemaVersionLockPauseSeconds`: the pause between checks of a lock held by another process; default is 1,
+     * * `schemaVersionLockLeaseSeconds`: the duration of the lease; default is 60,
+     * * `schemaVersionLockHeartbeatSeconds`: the period of the lease's renewal; default is a third of the lease, and
+     * * `schemaVersionLockMaxWaitSeconds`: the longest to wait for another process's lock; default is 300.
+     *
+     * Each migration run is recorded in the schema version's history; see {@link MongoSchemaVersionRepository#migrationHistory}.
+     * Upon each call, the checksums of the migrations applied are verified against those of their current sources;
+     * see {@link _verifyMigrationChecksums} regarding the option `schemaMigrationChecksumMismatch`.
      * @protected
      * @param db
      * @param name
      * @param schemaVersionId
      * @param pkg package.json
-     * @param dirName __dirName from subclass
+     * @param migrationsDir The directory of the migrations, unless `migrationSource` is given.
+     * @param migrationSource The source of the migrations; default is the filesystem source of `migrationsDir`.
      * @param options
+     * @param client The `MongoClient` of `db`, required for transactional migrations.
      * @returns {Promise<Collection>}
+     * @throws MigrationFailedError If a migration fails, after releasing the lock.
+     * @throws DuplicateMigrationError If the source of the migrations holds a version more than once.
+     * @throws SchemaLockTimeoutError If another process's unexpired lock is not released within the maximum wait.
+     * @throws SchemaLockLostError If the lease of the lock expired & couldn't be renewed while migrating, in which case another process may take over.
+     * @throws MigrationChecksumError If an applied migration's source has changed & `options.schemaMigrationChecksumMismatch` is `'fail'`.
      */
     static async _ensureSchema ({
       db,
@@ -27,9 +122,11 @@ const MongoSchemaMigrationRepositorySupport = Trait(superclass =>
       schemaVersionId,
       pkg,
       migrationsDir,
+      migrationSource,
       options,
       ensureIndexesFn,
-      ensureSeedDataFn
+      ensureSeedDataFn,
+      client
     }) {
       if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
       if (!name) throw new MissingRequiredArgumentError({ message: 'name required' })
@@ -37,95 +134,469 @@ const MongoSchemaMigrationRepositorySupport = Trait(superclass =>
 
       const collection = await MongoSchemaVersionRepository.ensureSchema({ db })
       const schemaVersionRepository = new MongoSchemaVersionRepository(collection)
+      const owner = MongoSchemaVersionRepository.newLockOwner(pkg)
+      const lease = leaseOptions(options)
 
       let schemaVersion = await schemaVersionRepository.findById({ id: schemaVersionId })
 
       if (!schemaVersion) { // never done before or schemaVersion missing
-        schemaVersion = new SchemaVersion({
-          id: schemaVersionId,
-          semver: pkg.version
-        }).withLocked(MongoSchemaVersionRepository.formatLock(pkg))
+        try {
+          // the schema is incomplete until its creation commits its version, so that a failed creation is redone
+          schemaVersion = await schemaVersionRepository.insert(new SchemaVersion({
+            id: schemaVersionId,
+            semver: pkg.version
+          }).withCreating(true).withLease({ lock: owner, leaseMillis: lease.leaseMillis }))
+        } catch (e) {
+          if (!(e instanceof UniqueKeyViolationError)) throw e
+          // another process created it first
+          schemaVersion = await schemaVersionRepository.findById({ id: schemaVersionId })
+        }
+      }
 
-        await schemaVersionRepository.upsert(schemaVersion)
+      const source = this._migrationSource({ migrationsDir, migrationSource })
+      await this._verifyMigrationChecksums({ schemaVersionRepository, schemaVersionId, migrationSource: source, options })
+
+      if (!schemaVersion.creating && schemaVersion.gte(pkg.version)) { // we're current. no need to migrate
+        return db.collection(name)
+      }
+
+      if (schemaVersion.locked !== owner) { // unless this process just created the schema version
+        const deadline = Date.now() + lease.maxWaitMillis
+        let locked
+        while (!(locked = await schemaVersionRepository.tryLock({ id: schemaVersionId, owner, leaseMillis: lease.leaseMillis }))) {
+          // if this schema version is locked, another process is creating or migrating
+          // wait until it's done then return the correct collection,
+          // unless the other process's lease expires, in which case take over
+          // only unexpired locks time out, as an expired one was just taken over by another process, whose lock is checked next
+          if (Date.now() >= deadline && !schemaVersion.isLockExpired()) {
+            throw new SchemaLockTimeoutError({
+              message: `schema version ${schemaVersionId} still locked by ${schemaVersion.locked} after ${lease.maxWaitMillis} ms`,
+              info: { id: schemaVersionId, locked: schemaVersion.locked, lockExpires: schemaVersion.lockExpires }
+            })
+          }
+
+          await Promise.delay(lease.pauseMillis)
+          schemaVersion = await schemaVersionRepository.findById({ id: schemaVersionId })
+
+          // once released, the other process has either succeeded or failed, in which case try to resume where it left off
+          if (!schemaVersion.locked && !schemaVersion.creating && schemaVersion.gte(pkg.version)) return db.collection(name)
+        }
+        schemaVersion = locked
+      }
+
+      // read ./migrations/<SCHEMA_VERSION_ID>
+      // for dir names > schemaVersion.semver & < pkg.version,
+      // then execute their exported up function passing in db, name & capturing returned collection
+      // unless creating the schema, which is created at pkg.version
+      const migrations = schemaVersion.creating
+        ? []
+        : source.migrations().filter(it => schemaVersion.lt(it.version) && semver.lt(it.version, pkg.version))
+
+      try {
+        const transactional = await this._transactionalMigrations({ db, client, options, schemaVersionRepository })
+
+        return await this._whileLeased({ schemaVersionRepository, schemaVersion, lock: owner, lease }, async assertLeased => {
+          let collection
+          if (schemaVersion.creating) {
+            collection = (await db.collections()).map(it => it.collectionName).includes(name)
+              ? db.collection(name)
+              : await db.createCollection(name, collectionOptions(options))
+            schemaVersion.semver = pkg.version
+          }
+
+          for (const it of migrations) {
+            collection = await this._runMigrationStep({
+              migration: it.load(),
+              direction: 'up',
+              to: it.version,
+              transactional,
+              context: { db, name, schemaVersionRepository, schemaVersion, schemaVersionId, owner, assertLeased }
+            })
+          }
+
+          // if there are no migration scripts defined or no migrations directory for the collection, the
+          // collection will be empty, so just return the current specified collection
+          if (!collection) {
+            collection = db.collection(name)
+          }
 
-        if ((await db.collections()).map(it => it.collectionName).includes(name)) {
-          const collection = db.collection(name)
           if (ensureIndexesFn) await ensureIndexesFn(collection)
           if (ensureSeedDataFn) await ensureSeedDataFn(collection)
-          await schemaVersionRepository.upsert(schemaVersion.withLocked(false))
+
+          assertLeased()
+          await this._commitSchemaVersion({ schemaVersionRepository, schemaVersion, owner }) // in case migrations changed it without storing it
+
           return collection
-        }
+        })
+      } finally {
+        await schemaVersionRepository.unlock({ id: schemaVersionId, owner })
+      }
+    }
+
+    /**
+     * Releases the identified schema version's lock regardless of its holder or lease,
+     * for operators recovering from a migration whose process died without releasing it.
+     * @protected
+     * @param db
+     * @param schemaVersionId
+     * @returns {Promise<boolean>} Whether the schema version was locked.
+     */
+    static async _forceReleaseSchemaLock ({ db, schemaVersionId }) {
+      if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
+      if (!schemaVersionId) throw new MissingRequiredArgumentError({ message: 'schema document id required' })
 
-        const collection = await db.createCollection(name, options)
+      const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      return schemaVersionRepository.forceUnlock({ id: schemaVersionId })
+    }
 
-        if (ensureIndexesFn) await ensureIndexesFn(collection)
-        if (ensureSeedDataFn) await ensureSeedDataFn(collection)
+    /**
+     * Returns whether migrations are to run within transactions, which they are if a client is given,
+     * `options.schemaMigrationTransactions` is truthy & the deployment supports transactions,
+     * in which case the given schema version repository is given the client.
+     * @private
+     */
+    static async _transactionalMigrations ({ db, client, options, schemaVersionRepository }) {
+      if (!client || !options?.schemaMigrationTransactions || !(await supportsTransactions(db))) return false
 
-        await schemaVersionRepository.upsert(schemaVersion.withLocked(false))
-        return collection
+      schemaVersionRepository._client = client
+      return true
+    }
+
+    /**
+     * Runs the given migration in the given direction as a step that, upon success, stores the schema version it results in,
+     * which is `to` when migrating down, or the greater of `to` & the version as the migration left it when migrating up.
+     * The step runs within a transaction if `transactional` & its outcome is recorded in the schema version's history.
+     * Neither the migration nor the storing of its version happen once the lock's lease has been lost, as asserted by `assertLeased`.
+     * @private
+     * @throws MigrationFailedError If the migration fails.
+     * @throws SchemaLockLostError If the lock's lease has been lost.
+     */
+    static async _runMigrationStep ({
+      migration,
+      direction,
+      to,
+      transactional,
+      context: { db, name, schemaVersionRepository, schemaVersion, schemaVersionId, owner, assertLeased = () => {} }
+    }) {
+      assertLeased()
+
+      const step = async session => {
+        const result = await migration[direction]({ db, name, schemaVersionRepository, schemaVersion, session })
+
+        if (direction === 'down' || schemaVersion.lt(to)) schemaVersion.semver = to
+        assertLeased()
+        await this._commitSchemaVersion({ schemaVersionRepository, schemaVersion, owner })
+
+        return result
       }
 
-      if (schemaVersion.gte(pkg.version)) { // we're current. no need to migrate
-        return db.collection(name)
+      try {
+        return await this._runMigration({ schemaVersionRepository, schemaVersionId, owner, migration, direction },
+          () => transactional ? schemaVersionRepository._transactionallyExecute(step) : step())
+      } catch (e) {
+        if (e instanceof SchemaLockLostError) throw e
+
+        throw new MigrationFailedError({
+          message: `migration ${migration.version} of ${schemaVersionId} failed ${direction}: ${e.message}`,
+          cause: e,
+          info: { id: schemaVersionId, version: migration.version, direction }
+        })
       }
+    }
 
-      if (!schemaVersion.locked) {
-        // read ./migrations/<SCHEMA_VERSION_ID>
-        // for dir names > schemaVersion.semver & <= pkg.version,
-        // then execute their exported function passing in db, name & capturing returned collection
-        let migrations = []
-        if (fs.existsSync(migrationsDir)) {
-          migrations = fs.readdirSync(migrationsDir, { withFileTypes: true })
-            .filter(entry =>
-              entry.isDirectory() &&
-              semver.valid(entry.name) &&
-              schemaVersion.lt(entry.name) &&
-              semver.lt(entry.name, pkg.version))
-            .map(entry => entry.name)
-            .sort((a, b) => semver.compare(a, b))
-        }
+    /**
+     * Stores the semantic version of the given schema version, provided that the given owner still holds its lock,
+     * without touching the lock's fields, which may have changed since the schema version was read.
+     * @private
+     * @throws SchemaLockLostError If the owner no longer holds the lock.
+     */
+    static async _commitSchemaVersion ({ schemaVersionRepository, schemaVersion, owner }) {
+      if (await schemaVersionRepository.commitVersion({ id: schemaVersion.id, owner, semver: schemaVersion.semver })) return
 
-        if (migrations.length) {
-          schemaVersion.locked = MongoSchemaVersionRepository.formatLock(pkg)
-          await schemaVersionRepository.upsert(schemaVersion)
-        }
+      throw new SchemaLockLostError({
+        message: `lock of schema version ${schemaVersion.id} lost by ${owner} before storing version ${schemaVersion.semver}`,
+        info: { id: schemaVersion.id, lock: owner, semver: schemaVersion.semver }
+      })
+    }
 
-        let collection
-        for (const migration of migrations) {
-          const migrate = require(`${migrationsDir}/${migration}`) // must export: async function ({db, name, schemaVersionRepository, schemaVersion})
-          collection = await migrate({ db, name, schemaVersionRepository, schemaVersion })
-        }
+    /**
+     * Calls the given `async` function that runs the given migration in the given direction,
+     * recording its outcome in the schema version's history.
+     * @private
+     */
+    static async _runMigration ({ schemaVersionRepository, schemaVersionId, owner, migration: { version, checksum }, direction }, fn) {
+      const started = new Date()
 
-        // if there are no migration scripts defined or no migrations directory for the collection, the
-        // collection will be empty, so just return the current specified collection
-        if (!collection) {
-          collection = db.collection(name)
+      const record = (outcome, error) => {
+        const ended = new Date()
+        return schemaVersionRepository.recordMigration({
+          id: schemaVersionId,
+          entry: {
+            version,
+            direction,
+            owner,
+            started,
+            ended,
+            durationMillis: ended.getTime() - started.getTime(),
+            outcome,
+            error: error ? errorDetails(error) : null,
+            checksum
+          }
+        })
+      }
+
+      let result
+      try {
+        result = await fn()
+      } catch (e) {
+        await record('failed', e).catch(() => {}) // prefer the migration's error
+        throw e
+      }
+      await record('succeeded')
+
+      return result
+    }
+
+    /**
+     * Compares the checksums recorded when the migrations currently applied were run with the checksums of their current sources,
+     * ignoring migrations whose sources no longer exist.
+     * What happens upon a mismatch is governed by `options.schemaMigrationChecksumMismatch`, which is one of
+     * * `'warn'`, the default, to emit a process warning with code `SCHEMA_MIGRATION_CHECKSUM_MISMATCH`,
+     * * `'fail'`, to throw a {@link MigrationChecksumError}, or
+     * * `'ignore'`.
+     * @protected
+     * @returns {Promise<object[]>} The mismatches, each like `{ version, recorded, current }`.
+     * @throws MigrationChecksumError If there are mismatches & `options.schemaMigrationChecksumMismatch` is `'fail'`.
+     */
+    static async _verifyMigrationChecksums ({ schemaVersionRepository, schemaVersionId, migrationsDir, migrationSource, options }) {
+      const mode = options?.schemaMigrationChecksumMismatch || 'warn'
+
+      const applied = (await schemaVersionRepository.migrationHistory({ id: schemaVersionId }))
+        .filter(it => it.outcome === 'succeeded')
+        .reduce((accum, it) => {
+          if (it.direction === 'down') accum.delete(it.version)
+          else accum.set(it.version, it.checksum)
+          return accum
+        }, new Map())
+
+      const available = new Map(this._migrationSource({ migrationsDir, migrationSource }).migrations().map(it => [it.version, it]))
+      const mismatches = [...applied]
+        .filter(([version, recorded]) => recorded && available.has(version))
+        .map(([version, recorded]) => ({ version, recorded, current: available.get(version).checksum() }))
+        .filter(it => it.recorded !== it.current)
+
+      if (!mismatches.length || mode === 'ignore') return mismatches
+
+      const message = `sources of applied migrations of ${schemaVersionId} have changed: ${mismatches.map(it => it.version).join(', ')}`
+      if (mode === 'fail') throw new MigrationChecksumError({ message, info: { id: schemaVersionId, mismatches } })
+
+      process.emitWarning(message, { code: 'SCHEMA_MIGRATION_CHECKSUM_MISMATCH', detail: JSON.stringify(mismatches) })
+      return mismatches
+    }
+
+    /**
+     * Calls the given `async` function while renewing by heartbeat the lease of the given lock of the given schema version, if any lock is given.
+     * The function is given a function that throws a {@link SchemaLockLostError} once a renewal has found the lock no longer held,
+     * because its lease expired & another process took it over or released it, which the function must call before each step it takes.
+     * @private
+     */
+    static async _whileLeased ({ schemaVersionRepository, schemaVersion, lock, lease: { leaseMillis, heartbeatMillis } }, fn) {
+      if (!lock) return fn(() => {})
+
+      let lost = false
+      const assertLeased = () => {
+        if (lost) {
+          throw new SchemaLockLostError({
+            message: `lock of schema version ${schemaVersion.id} lost by ${lock}`,
+            info: { id: schemaVersion.id, lock }
+          })
         }
+      }
 
-        if (ensureIndexesFn) await ensureIndexesFn(collection)
-        if (ensureSeedDataFn) await ensureSeedDataFn(collection)
+      const heartbeat = setInterval(() => {
+        const expires = new Date(Date.now() + leaseMillis)
 
-        await schemaVersionRepository.upsert(schemaVersion.withLocked(false))
+        schemaVersionRepository.renewLock({ id: schemaVersion.id, lock, expires })
+          .then(renewed => {
+            if (renewed) schemaVersion.lockExpires = expires // so that storing the schema version doesn't shorten the lease
+            else lost = true
+          })
+          .catch(() => {}) // the next heartbeat tries again
+      }, heartbeatMillis)
+      heartbeat.unref()
 
-        return collection
-      } else {
-        // if this schema version is locked, another process is migrating
-        // wait until the migration is done then return the correct collection
-        let collection
+      try {
+        return await fn(assertLeased)
+      } finally {
+        clearInterval(heartbeat)
+      }
+    }
 
-        while (schemaVersion.locked) {
-          await Promise.delay((options?.schemaVersionLockPauseSeconds || 1) * 1000)
-          schemaVersion = await schemaVersionRepository.findById({ id: schemaVersionId })
+    /**
+     * Rolls the schema back to the given version by running the `down` function of each migration
+     * whose version is greater than `to` & less than or equal to the current version, in descending version order,
+     * then records `to` as the current version.
+     * No migration is run if any of them is irreversible, which is the case when it declares itself so or has no `down` function.
+     * @protected
+     * @param db
+     * @param name
+     * @param schemaVersionId
+     * @param pkg package.json
+     * @param migrationsDir
+     * @param migrationSource
+     * @param options The schema version lock's & migrations' options; see {@link _ensureSchema}.
+     * @param client The `MongoClient` of `db`, required for transactional migrations.
+     * @param to The semantic version to roll back to.
+     * @returns {Promise<Collection>}
+     * @throws ObjectNotFoundError If there is no schema version.
+     * @throws SchemaMigrationError If the schema version is locked by a migration in progress.
+     * @throws IrreversibleMigrationError If a migration to be rolled back is irreversible.
+     * @throws MigrationFailedError If a migration fails, after releasing the lock; the versions rolled back until then remain so.
+     * @throws SchemaLockLostError If the lease of the lock expired & couldn't be renewed while rolling back.
+     */
+    static async _rollbackSchema ({
+      db,
+      name,
+      schemaVersionId,
+      pkg,
+      migrationsDir,
+      migrationSource,
+      options,
+      client,
+      to
+    }) {
+      if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
+      if (!name) throw new MissingRequiredArgumentError({ message: 'name required' })
+      if (!schemaVersionId) throw new MissingRequiredArgumentError({ message: 'schema document id required' })
+      if (!semver.valid(to)) throw new IllegalArgumentError({ message: 'valid semantic version to roll back to required', info: { to } })
 
-          if (!schemaVersion.locked) {
-            collection = db.collection(name)
-            break
+      const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+
+      const found = await schemaVersionRepository.findById({ id: schemaVersionId }) || throw new ObjectNotFoundError({
+        message: 'schemaVersion not found',
+        info: { id: schemaVersionId }
+      })
+
+      const owner = MongoSchemaVersionRepository.newLockOwner(pkg)
+      const lease = leaseOptions(options)
+      const schemaVersion = await schemaVersionRepository.tryLock({ id: schemaVersionId, owner, leaseMillis: lease.leaseMillis }) ||
+        throw new SchemaMigrationError({ message: 'schema version locked', info: { id: schemaVersionId, locked: found.locked } })
+
+      try {
+        if (schemaVersion.lte(to)) return db.collection(name) // nothing to roll back
+
+        const migrations = this._migrationSource({ migrationsDir, migrationSource }).migrations()
+          .filter(it => semver.gt(it.version, to) && schemaVersion.gte(it.version))
+          .reverse()
+          .map(it => it.load())
+
+        const irreversible = migrations.filter(it => it.irreversible).map(it => it.version)
+        if (irreversible.length) {
+          throw new IrreversibleMigrationError({
+            message: `cannot roll back irreversible migrations ${irreversible.join(', ')}`,
+            info: { id: schemaVersionId, from: schemaVersion.semver, to, irreversible }
+          })
+        }
+
+        const transactional = await this._transactionalMigrations({ db, client, options, schemaVersionRepository })
+
+        await this._whileLeased({ schemaVersionRepository, schemaVersion, lock: owner, lease }, async assertLeased => {
+          for (const [i, migration] of migrations.entries()) {
+            await this._runMigrationStep({
+              migration,
+              direction: 'down',
+              to: migrations[i + 1]?.version || to,
+              transactional,
+              context: { db, name, schemaVersionRepository, schemaVersion, schemaVersionId, owner, assertLeased }
+            })
           }
+          assertLeased()
+          schemaVersion.semver = to
+          await this._commitSchemaVersion({ schemaVersionRepository, schemaVersion, owner })
+        })
+
+        return db.collection(name)
+      } finally {
+        await schemaVersionRepository.unlock({ id: schemaVersionId, owner })
+      }
+    }
+
+    /**
+     * Reports, without taking the schema version lock, the stored schema version & the migrations that {@link _ensureSchema} would run, as
+     * `{ id, current, target, create, locked, lockedBy, pending }`, where
+     * `current` is the stored semantic version or `null` if none,
+     * `create` is whether there's no stored version or its creation is incomplete,
+     * in which case {@link _ensureSchema} creates the collection & version instead of migrating,
+     * `target` is the package's version,
+     * `lockedBy` is the lock held by a migration in progress or `null` if none, and
+     * `pending` is the ordered list of migrations to run, each like `{ version, irreversible }`.
+     *
+     * If `dryRun` is truthy, each pending migration is run against a recording proxy of `db` (see {@link recordingDb}),
+     * which performs reads but only records writes, including those of the `schemaVersionRepository` given to migrations,
+     * and the operations recorded are reported in each pending migration's `operations`.
+     * Migrations that write other than via the `db` given them are not isolated by a dry run.
+     * @protected
+     * @param db
+     * @param name
+     * @param schemaVersionId
+     * @param pkg package.json
+     * @param migrationsDir
+     * @param migrationSource
+     * @param dryRun
+     * @returns {Promise<object>}
+     */
+    static async _schemaMigrationPlan ({
+      db,
+      name,
+      schemaVersionId,
+      pkg,
+      migrationsDir,
+      migrationSource,
+      dryRun = false
+    }) {
+      if (!db) throw new MissingRequiredArgumentError({ message: 'db required' })
+      if (!schemaVersionId) throw new MissingRequiredArgumentError({ message: 'schema document id required' })
+      if (!pkg) throw new MissingRequiredArgumentError({ message: 'pkg required' })
+
+      const schemaVersionsName = MongoSchemaVersionRepository.DEFAULT_COLLECTION_NAME
+      const schemaVersion = await new MongoSchemaVersionRepository(db.collection(schemaVersionsName)).findById({ id: schemaVersionId })
+
+      const create = !schemaVersion || Boolean(schemaVersion.creating)
+      const pending = create || schemaVersion.gte(pkg.version)
+        ? []
+        : this._migrationSource({ migrationsDir, migrationSource }).migrations()
+          .filter(it => schemaVersion.lt(it.version) && semver.lt(it.version, pkg.version))
+          .map(it => it.load())
+
+      if (dryRun && pending.length) {
+        const version = new SchemaVersion({ id: schemaVersionId, semver: schemaVersion.semver })
+
+        for (const migration of pending) {
+          const recording = recordingDb(db, (migration.operations = []))
+          const schemaVersionRepository = new MongoSchemaVersionRepository(recording.collection(schemaVersionsName))
+
+          await migration.up({ db: recording, name, schemaVersionRepository, schemaVersion: version })
         }
+      }
 
-        return collection
+      return {
+        id: schemaVersionId,
+        current: schemaVersion?.semver ?? null,
+        target: pkg.version,
+        create,
+        locked: Boolean(schemaVersion?.locked),
+        lockedBy: schemaVersion?.locked || null,
+        pending: pending.map(({ version, irreversible, operations }) => ({ version, irreversible, ...(operations && { operations }) }))
       }
     }
+
+    /**
+     * Returns the given source of migrations, or, if none is given, the filesystem source of the given directory.
+     * @private
+     */
+    static _migrationSource ({ migrationsDir, migrationSource }) {
+      return migrationSource || sources.filesystem(migrationsDir)
+    }
   }
 )
 
@@ -0,0 +1,103 @@
+'use strict'
+
+const { Trait } = require('@ballistagroup/mutrait')
+const Promise = require('bluebird')
+const translateMongoError = require('../repositories/translateMongoError')
+
+/**
+ * The default retry policy, whose values are used for any not given in a repository's `_retryPolicy`.
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3, // including the first
+  initialDelayMillis: 100,
+  maxDelayMillis: 2000,
+  factor: 2,
+  jitter: 0.5, // the fraction of each delay that is randomized
+  deadlineMillis: 10000, // no retry is begun after this long since the first attempt began
+  onRetry: undefined // optional, possibly async, function called with `{ attempt, delayMillis, error }` before each retry
+})
+
+/**
+ * Imparts to a repository the ability to retry operations that fail transiently,
+ * like those failing during a replica set election, with exponential backoff & jitter.
+ * Retrying is off unless `_retryPolicy` is set; see {@link Retrying.DEFAULT_RETRY_POLICY} for the supported properties, for example:
+ * ```
+ * class CustomerRepository extends traits(MongoRepository) {
+ *   _retryPolicy = { maxAttempts: 5, onRetry: ({ attempt, error }) => log.warn(`retrying after attempt ${attempt}`, error) }
+ * }
+ * ```
+ */
+const Retrying = Trait(superclass =>
+  class extends superclass {
+    _retryPolicy // subclasses should set to an object like Retrying.DEFAULT_RETRY_POLICY, or `{}` for its defaults, to retry transient failures
+
+    /**
+     * Calls the given function, retrying it according to `this._retryPolicy` if it fails transiently.
+     *
+     * @param {function} fn The `async` function to call.
+     * @param {boolean} [idempotent] Whether the function may safely be called again after an ambiguous failure; if `false`, it's never retried.
+     * @return {Promise<*>} What the function returns.
+     * @private
+     */
+    async _retrying (fn, { idempotent = true } = {}) {
+      if (!this._retryPolicy || !idempotent) return fn()
+
+      const policy = { ...DEFAULT_RETRY_POLICY, ...this._retryPolicy }
+      const start = Date.now()
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await fn()
+        } catch (e) {
+          if (attempt >= policy.maxAttempts || !this._isTransientError(e)) throw e
+
+          const delayMillis = this._retryDelayMillis(attempt, policy)
+          if (Date.now() - start + delayMillis > policy.deadlineMillis) throw e
+
+          await this._onRetry({ attempt, delayMillis, error: e })
+          await Promise.delay(delayMillis)
+        }
+      }
+    }
+
+    /**
+     * Returns whether the given error is transient, meaning the failed operation may succeed if retried:
+     * retryable write errors, network errors & errors due to the primary being unavailable.
+     *
+     * @param {Error} e
+     * @return {boolean}
+     * @private
+     */
+    _isTransientError (e) {
+      for (; e; e = e.cause) {
+        if (translateMongoError.isRetryable(e)) return true
+      }
+      return false
+    }
+
+    /**
+     * Returns the jittered, exponentially increasing delay before the retry following the given attempt.
+     * @private
+     */
+    _retryDelayMillis (attempt, { initialDelayMillis, maxDelayMillis, factor, jitter }) {
+      const delay = Math.min(maxDelayMillis, initialDelayMillis * Math.pow(factor, attempt - 1))
+      return Math.round(delay - delay * jitter * Math.random())
+    }
+
+    /**
+     * Called before each retry; this default implementation calls `this._retryPolicy.onRetry`, if any.
+     *
+     * @param {number} attempt The number of the attempt that failed.
+     * @param {number} delayMillis The delay before the next attempt.
+     * @param {Error} error The error of the attempt that failed.
+     * @private
+     */
+    async _onRetry ({ attempt, delayMillis, error }) {
+      if (this._retryPolicy?.onRetry) await this._retryPolicy.onRetry({ attempt, delayMillis, error })
+    }
+  }
+)
+
+Retrying.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY
+
+module.exports = Retrying
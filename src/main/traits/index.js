@@ -1,4 +1,8 @@
 module.exports = {
+  AuditStamping: require('./AuditStamping'),
+  EntityMapping: require('./EntityMapping'),
+  Instrumented: require('./Instrumented'),
   OptimisticallyLockable: require('./OptimisticallyLockable'),
+  Retrying: require('./Retrying'),
   MongoSchemaMigrationRepositorySupport: require('./MongoSchemaMigrationRepositorySupport')
 }
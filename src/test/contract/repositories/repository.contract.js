@@ -0,0 +1,187 @@
+/* global describe, it, beforeEach */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { UniqueKeyViolationError, ObjectNotFoundError, NonuniqueCriteriaError } = require('../../../main/errors')
+
+/**
+ * Defines tests of the behavior that every repository backend must share with {@link MongoRepository}.
+ *
+ * @param {string} name The name of the backend under test.
+ * @param {function} newRepository An `async` function returning a repository with an empty collection.
+ * @param {function} [supportsTransactions] An `async` function returning whether the backend supports transactions in this environment.
+ */
+module.exports = ({ name, newRepository, supportsTransactions = async () => true }) => {
+  describe(`repository contract of ${name}`, function () {
+    let repo
+
+    beforeEach(async function () {
+      repo = await newRepository()
+    })
+
+    it('should insert & find by id', async function () {
+      const inserted = await repo._insert({ name: 'a', tags: ['x'] })
+      expect(inserted._id).to.be.ok()
+
+      expect(await repo._findById(inserted._id)).to.deep.equal({ _id: inserted._id, name: 'a', tags: ['x'] })
+      expect(await repo._getById(inserted._id)).to.deep.equal({ _id: inserted._id, name: 'a', tags: ['x'] })
+    })
+
+    it('should store copies of documents', async function () {
+      const inserted = await repo._insert({ name: 'a', tags: ['x'] })
+      inserted.tags.push('y')
+
+      const found = await repo._findById(inserted._id)
+      expect(found.tags).to.deep.equal(['x'])
+
+      found.name = 'b'
+      expect((await repo._findById(inserted._id)).name).to.equal('a')
+    })
+
+    it('should not insert a duplicate _id', async function () {
+      await repo._insert({ _id: 'dup' })
+
+      const e = await expect(repo._insert({ _id: 'dup' })).to.be.rejectedWith(UniqueKeyViolationError)
+      expect(e.info.keyValue).to.deep.equal({ _id: 'dup' })
+    })
+
+    it('should not find missing documents', async function () {
+      expect(await repo._findById('missing')).to.be.null()
+      await expect(repo._getById('missing')).to.be.rejectedWith(IllegalArgumentError)
+    })
+
+    it('should strictly & partially update', async function () {
+      await expect(repo._update({ _id: 'missing', name: 'a' })).to.be.rejectedWith(ObjectNotFoundError)
+
+      await repo._insert({ _id: 1, name: 'a', size: 1 })
+      await repo._update({ _id: 1, name: 'b' })
+
+      expect(await repo._findById(1)).to.deep.equal({ _id: 1, name: 'b', size: 1 })
+    })
+
+    it('should upsert', async function () {
+      await repo._upsert({ _id: 1, name: 'a', size: 1 })
+      expect(await repo._findById(1)).to.deep.equal({ _id: 1, name: 'a', size: 1 })
+
+      await repo._upsert({ _id: 1, name: 'b' })
+      expect(await repo._findById(1)).to.deep.equal({ _id: 1, name: 'b', size: 1 })
+    })
+
+    it('should overwrite', async function () {
+      await repo._insert({ _id: 1, name: 'a', size: 1 })
+      await repo._overwrite({ _id: 1, name: 'b' })
+
+      expect(await repo._findById(1)).to.deep.equal({ _id: 1, name: 'b' })
+    })
+
+    it('should delete by id', async function () {
+      await repo._insert({ _id: 1 })
+      await repo._insert({ _id: 2 })
+
+      await repo._deleteById(1)
+      await repo._deleteById('missing')
+
+      expect(await repo._findById(1)).to.be.null()
+      expect(await repo._findById(2)).to.be.ok()
+    })
+
+    describe('queries', function () {
+      beforeEach(async function () {
+        await repo._insert({ _id: 1, name: 'apple', size: 3, tags: ['red', 'sweet'], origin: { country: 'US' }, picked: new Date('2020-01-01') })
+        await repo._insert({ _id: 2, name: 'banana', size: 5, tags: ['yellow'], origin: { country: 'EC' }, picked: new Date('2020-02-01') })
+        await repo._insert({ _id: 3, name: 'cherry', size: 1, tags: [], origin: { country: 'US' } })
+      })
+
+      const ids = async (filter, opts) => (await repo._find(filter, opts)).map(it => it._id)
+
+      it('should match equality, dotted paths & array elements', async function () {
+        expect(await ids({ name: 'apple' })).to.deep.equal([1])
+        expect(await ids({ 'origin.country': 'US' }, { sort: { _id: 1 } })).to.deep.equal([1, 3])
+        expect(await ids({ tags: 'yellow' })).to.deep.equal([2])
+        expect(await ids({ tags: [] })).to.deep.equal([3])
+        expect(await ids({ picked: null })).to.deep.equal([3])
+      })
+
+      it('should match comparison operators', async function () {
+        expect(await ids({ size: { $gt: 1, $lte: 5 } }, { sort: { _id: 1 } })).to.deep.equal([1, 2])
+        expect(await ids({ size: { $ne: 3 } }, { sort: { _id: 1 } })).to.deep.equal([2, 3])
+        expect(await ids({ picked: { $gte: new Date('2020-01-15') } })).to.deep.equal([2])
+        expect(await ids({ name: { $in: ['apple', 'cherry'] } }, { sort: { _id: 1 } })).to.deep.equal([1, 3])
+        expect(await ids({ tags: { $nin: ['red', 'yellow'] } })).to.deep.equal([3])
+      })
+
+      it('should match element, evaluation & array operators', async function () {
+        expect(await ids({ picked: { $exists: false } })).to.deep.equal([3])
+        expect(await ids({ name: { $regex: '^B', $options: 'i' } })).to.deep.equal([2])
+        expect(await ids({ name: /rr/ })).to.deep.equal([3])
+        expect(await ids({ size: { $not: { $gt: 1 } } })).to.deep.equal([3])
+        expect(await ids({ tags: { $size: 2 } })).to.deep.equal([1])
+        expect(await ids({ tags: { $elemMatch: { $eq: 'sweet' } } })).to.deep.equal([1])
+      })
+
+      it('should match logical operators', async function () {
+        expect(await ids({ $or: [{ size: 1 }, { name: 'banana' }] }, { sort: { _id: 1 } })).to.deep.equal([2, 3])
+        expect(await ids({ $and: [{ 'origin.country': 'US' }, { size: { $gt: 1 } }] })).to.deep.equal([1])
+        expect(await ids({ $nor: [{ size: 1 }, { name: 'banana' }] })).to.deep.equal([1])
+      })
+
+      it('should sort, skip, limit & project', async function () {
+        expect(await ids({}, { sort: { size: -1 } })).to.deep.equal([2, 1, 3])
+        expect(await ids({}, { sort: { picked: 1 } })).to.deep.equal([3, 1, 2])
+        expect(await ids({}, { sort: { name: 1 }, skip: 1, limit: 1 })).to.deep.equal([2])
+
+        expect(await repo._find({ _id: 1 }, { projection: { name: 1 } })).to.deep.equal([{ _id: 1, name: 'apple' }])
+        expect(Object.keys((await repo._find({ _id: 1 }, { projection: { tags: 0, origin: 0, picked: 0 } }))[0])).to.have.members(['_id', 'name', 'size'])
+      })
+
+      it('should find one, count, check existence & find by filter', async function () {
+        expect((await repo._findOne({ size: 5 }))._id).to.equal(2)
+        expect(await repo._findOne({ size: 42 })).to.be.null()
+        await expect(repo._findOne({ 'origin.country': 'US' })).to.be.rejectedWith(NonuniqueCriteriaError)
+
+        expect(await repo._count({ 'origin.country': 'US' })).to.equal(2)
+        expect(await repo._exists({ name: 'banana' })).to.be.true()
+        expect(await repo._exists({ name: 'durian' })).to.be.false()
+
+        expect((await repo._findById({ name: 'cherry' }))._id).to.equal(3)
+      })
+    })
+
+    describe('transactions', function () {
+      beforeEach(async function () {
+        if (!(await supportsTransactions())) this.skip()
+      })
+
+      it('should commit', async function () {
+        const result = await repo._transactionallyExecute(async () => {
+          await repo._insert({ _id: 1 })
+          return 'result'
+        })
+
+        expect(result).to.equal('result')
+        expect(await repo._findById(1)).to.be.ok()
+      })
+
+      it('should roll back on throw', async function () {
+        await repo._insert({ _id: 1, name: 'a' })
+        await repo._insert({ _id: 2 })
+
+        await expect(repo._transactionallyExecute(async () => {
+          await repo._insert({ _id: 3 })
+          await repo._update({ _id: 1, name: 'b' })
+          await repo._deleteById(2)
+          throw new Error('boom')
+        })).to.be.rejectedWith('boom')
+
+        expect(await repo._findById(1)).to.deep.equal({ _id: 1, name: 'a' })
+        expect(await repo._findById(2)).to.be.ok()
+        expect(await repo._findById(3)).to.be.null()
+      })
+    })
+  })
+}
@@ -0,0 +1,190 @@
+/* global describe, it, before, beforeEach */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const uuid = require('uuid').v4
+const { traits } = require('@ballistagroup/mutrait')
+const { mongoConnect, dropCollections } = require('@ballistagroup/mongo-test-support')
+const { MongoRepository, MongoOutboxRepository } = require('../../../main/repositories')
+
+class Repo extends traits(MongoRepository) {
+  constructor ({ db, collection, outbox }) {
+    super(...arguments)
+    this._client = db.client
+    this._db = db
+    this._collection = collection
+    this._outbox = outbox
+  }
+}
+
+describe('integration tests of MongoOutboxRepository', function () {
+  let db
+  let outbox
+  let now
+
+  const newOutbox = (opts = {}) => {
+    const it = new MongoOutboxRepository(db.collection(MongoOutboxRepository.DEFAULT_COLLECTION_NAME), {
+      leaseMillis: 1000,
+      maxAttempts: 2,
+      backoff: { initialMillis: 100, maxMillis: 1000, factor: 2 },
+      ...opts
+    })
+    it._clock = () => now
+    return it
+  }
+
+  before(async function () {
+    this.timeout(10000)
+    db = await mongoConnect(process.env.CI_COMMIT_SHA ? { host: 'localhost', port: 37017 } : undefined)
+  })
+
+  beforeEach(async function () {
+    await dropCollections({ db, names: [MongoOutboxRepository.DEFAULT_COLLECTION_NAME] })
+    await MongoOutboxRepository.ensureSchema({ db })
+
+    now = new Date('2020-01-01T00:00:00Z')
+    outbox = newOutbox()
+  })
+
+  it('should enqueue & relay events', async function () {
+    const [entry] = await outbox.enqueue({ type: 'Created', payload: { id: 1 } })
+    expect(entry.status).to.equal(MongoOutboxRepository.STATUS.PENDING)
+
+    const published = []
+    const outcome = await outbox.relay({ publish: async event => published.push(event) })
+
+    expect(published.map(it => it.type)).to.deep.equal(['Created'])
+    expect(published[0].payload).to.deep.equal({ id: 1 })
+    expect(outcome.dispatched.map(it => it._id)).to.deep.equal([entry._id])
+    expect(outcome.failed).to.deep.equal([])
+
+    const stored = await outbox._getById(entry._id)
+    expect(stored.status).to.equal(MongoOutboxRepository.STATUS.DISPATCHED)
+    expect(stored.dispatchedAt).to.deep.equal(now)
+
+    expect((await outbox.relay({ publish: async () => expect.fail('should not have republished') })).dispatched).to.deep.equal([])
+  })
+
+  it('should not let a second relay claim a leased event until the lease expires', async function () {
+    const [entry] = await outbox.enqueue({ type: 'Created' })
+    const other = newOutbox()
+
+    expect((await outbox.claim()).map(it => it._id)).to.deep.equal([entry._id])
+    expect(await other.claim()).to.deep.equal([])
+
+    now = new Date(now.getTime() + 1000)
+    expect(await other.claim()).to.deep.equal([]) // backing off after the expired attempt
+
+    now = new Date(now.getTime() + 100)
+    const [reclaimed] = await other.claim()
+    expect(reclaimed._id).to.equal(entry._id)
+    expect(reclaimed.attempts).to.equal(2)
+
+    expect(await outbox.markDispatched(entry)).to.be.false()
+    expect(await other.markDispatched(reclaimed)).to.be.true()
+  })
+
+  it('should retry failed events with backoff, then give up', async function () {
+    const [entry] = await outbox.enqueue({ type: 'Created' })
+    const failing = async () => { throw new Error('broker down') }
+
+    let outcome = await outbox.relay({ publish: failing })
+    expect(outcome.failed.map(it => it._id)).to.deep.equal([entry._id])
+
+    let stored = await outbox._getById(entry._id)
+    expect(stored.status).to.equal(MongoOutboxRepository.STATUS.PENDING)
+    expect(stored.lastError).to.equal('broker down')
+    expect(stored.availableAt).to.deep.equal(new Date(now.getTime() + 100))
+
+    outcome = await outbox.relay({ publish: failing })
+    expect(outcome.failed).to.deep.equal([]) // still backing off
+
+    now = new Date(now.getTime() + 100)
+    outcome = await outbox.relay({ publish: failing })
+    expect(outcome.failed.map(it => it._id)).to.deep.equal([entry._id])
+
+    stored = await outbox._getById(entry._id)
+    expect(stored.status).to.equal(MongoOutboxRepository.STATUS.DEAD)
+    expect(stored.attempts).to.equal(2)
+
+    now = new Date(now.getTime() + 100000)
+    expect(await outbox.claim()).to.deep.equal([])
+  })
+
+  it('should give up on events whose claims keep expiring', async function () {
+    const [entry] = await outbox.enqueue({ type: 'Poison' })
+
+    await outbox.claim() // the relay crashes while publishing
+    now = new Date(now.getTime() + 1100)
+    expect((await outbox.claim()).map(it => it.attempts)).to.deep.equal([2])
+
+    now = new Date(now.getTime() + 1000) // the relay crashes again
+    expect(await outbox.claim()).to.deep.equal([])
+
+    const stored = await outbox._getById(entry._id)
+    expect(stored.status).to.equal(MongoOutboxRepository.STATUS.DEAD)
+    expect(stored.attempts).to.equal(2)
+    expect(stored.lastError).to.equal('claim expired on the last attempt')
+    expect(stored).to.not.have.property('leaseExpiresAt')
+  })
+
+  it('should report events whose claims were lost while publishing', async function () {
+    const [entry] = await outbox.enqueue({ type: 'Created' })
+    const other = newOutbox()
+
+    const outcome = await outbox.relay({
+      publish: async () => {
+        now = new Date(now.getTime() + 1100)
+        await other.claim()
+      }
+    })
+
+    expect(outcome.dispatched).to.deep.equal([])
+    expect(outcome.lost.map(it => it._id)).to.deep.equal([entry._id])
+  })
+
+  it('should relay the remaining events if releasing a failed one fails', async function () {
+    const entries = await outbox.enqueue([{ type: 'First' }, { type: 'Second' }])
+    outbox.markFailed = async () => { throw new Error('db down') }
+
+    const outcome = await outbox.relay({
+      publish: async event => { if (event.type === 'First') throw new Error('broker down') }
+    })
+
+    expect(outcome.failed.map(it => it.type)).to.deep.equal(['First'])
+    expect(outcome.dispatched.map(it => it._id)).to.deep.equal([entries[1]._id])
+  })
+
+  it('should require an event type & a publisher', async function () {
+    await expect(outbox.enqueue({ payload: {} })).to.be.rejected()
+    await expect(outbox.relay()).to.be.rejected()
+  })
+
+  it('should only queue events if the transaction commits', async function () {
+    if (!(await db.admin().command({ isMaster: 1 })).setName) this.skip() // transactions require a replica set
+
+    const collection = db.collection(uuid())
+    await db.createCollection(collection.collectionName)
+    const repo = new Repo({ db, collection, outbox })
+
+    const committed = { _id: uuid() }
+    await repo._transactionallyExecute(async session => {
+      await repo._insert(committed, { options: { session } })
+      await repo._enqueueEvents({ type: 'Committed', payload: { id: committed._id } }, { options: { session } })
+    })
+
+    const aborted = { _id: uuid() }
+    await expect(repo._transactionallyExecute(async session => {
+      await repo._insert(aborted, { options: { session } })
+      await repo._enqueueEvents({ type: 'Aborted', payload: { id: aborted._id } }, { options: { session } })
+      throw new Error('boom')
+    })).to.be.rejectedWith('boom')
+
+    expect(await repo._exists({ _id: aborted._id })).to.be.false()
+    expect((await outbox.claim()).map(it => it.type)).to.deep.equal(['Committed'])
+  })
+})
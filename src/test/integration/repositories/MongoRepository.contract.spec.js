@@ -0,0 +1,32 @@
+/* global describe, before */
+'use strict'
+
+const { mongoConnect } = require('@ballistagroup/mongo-test-support')
+const uuid = require('uuid').v4
+const { traits } = require('@ballistagroup/mutrait')
+const { MongoRepository } = require('../../../main/repositories')
+const repositoryContract = require('../../contract/repositories/repository.contract')
+
+class Repo extends traits(MongoRepository) {
+  constructor ({ db, collection }) {
+    super(...arguments)
+    this._client = db.client
+    this._db = db
+    this._collection = collection
+  }
+}
+
+describe('integration tests of MongoRepository contract', function () {
+  let db
+
+  before(async function () {
+    this.timeout(10000)
+    db = await mongoConnect(process.env.CI_COMMIT_SHA ? { host: 'localhost', port: 37017 } : undefined)
+  })
+
+  repositoryContract({
+    name: 'MongoRepository',
+    newRepository: async () => new Repo({ db, collection: await db.createCollection(uuid()) }), // transactions require existing collections
+    supportsTransactions: async () => !!(await db.admin().command({ isMaster: 1 })).setName // transactions require a replica set
+  })
+})
@@ -2,6 +2,7 @@
 'use strict'
 
 const chai = require('chai')
+chai.use(require('chai-as-promised'))
 chai.use(require('dirty-chai'))
 const expect = chai.expect
 
@@ -10,7 +11,14 @@ const uuid = require('uuid').v4
 const { traits } = require('@ballistagroup/mutrait')
 const { MongoRepository } = require('../../../main/repositories')
 const { IllegalArgumentError } = require('@ballistagroup/error-support')
-const { UniqueKeyViolationError, ObjectNotFoundError } = require('../../../main/errors')
+const Promise = require('bluebird')
+const {
+  UniqueKeyViolationError,
+  ObjectNotFoundError,
+  NonuniqueCriteriaError,
+  BulkOperationError,
+  OptimisticLockViolationError
+} = require('../../../main/errors')
 
 class Repo extends traits(MongoRepository) {
   constructor ({ db, collection }) {
@@ -20,6 +28,25 @@ class Repo extends traits(MongoRepository) {
   }
 }
 
+class SoftDeletingRepo extends Repo {
+  _softDelete = true
+}
+
+class HistoryRecordingRepo extends Repo {
+  constructor ({ db, collection, historyCollection, historyMode = 'snapshot' }) {
+    super(...arguments)
+    this._client = db.client
+    this._historyCollection = historyCollection
+    this._historyMode = historyMode
+  }
+}
+
+class StampingRepo extends Repo {
+  _auditStamping = true
+  _clock = () => this.now
+  _actorProvider = async () => this.actor
+}
+
 describe('integration tests of MongoRepository', () => {
   let db
   let collection
@@ -142,6 +169,315 @@ describe('integration tests of MongoRepository', () => {
     expect(it).to.deep.equal(doc)
   })
 
+  it('should enforce optimistic locks when updating a document', async function () {
+    const doc = { _id: uuid(), _a: 1, _optimisticLock: null }
+    await repo._insert(doc)
+
+    const stale = { ...doc }
+    await repo._update(doc)
+    expect(doc._optimisticLock).to.be.ok()
+    expect(await repo._getById(doc._id)).to.deep.equal(doc)
+
+    const lock = doc._optimisticLock
+    doc._a = 2
+    await repo._update(doc)
+    expect(doc._optimisticLock).not.to.equal(lock)
+    expect(await repo._getById(doc._id)).to.deep.equal(doc)
+
+    await expect(repo._update({ ...stale, _a: 3 })).to.be.rejectedWith(OptimisticLockViolationError)
+    await expect(repo._update({ ...doc, _id: uuid() })).to.be.rejectedWith(ObjectNotFoundError)
+    expect(await repo._getById(doc._id)).to.deep.equal(doc)
+  })
+
+  it('should enforce optimistic locks when overwriting a document', async function () {
+    const doc = { _id: uuid(), _a: 1, _optimisticLock: null }
+    await repo._insert(doc)
+
+    const stale = { ...doc }
+    delete doc._a
+    doc._b = 1
+    await repo._overwrite(doc)
+    expect(doc._optimisticLock).to.be.ok()
+    expect(await repo._getById(doc._id)).to.deep.equal(doc)
+
+    await expect(repo._overwrite({ ...stale, _c: 1 })).to.be.rejectedWith(OptimisticLockViolationError)
+    await expect(repo._overwrite({ ...doc, _id: uuid() })).to.be.rejectedWith(ObjectNotFoundError)
+    expect(await repo._getById(doc._id)).to.deep.equal(doc)
+  })
+
+  it('should enforce optimistic locks when deleting a document', async function () {
+    const doc = { _id: uuid(), _a: 1, _optimisticLock: null }
+    await repo._insert(doc)
+    await repo._update(doc)
+
+    await expect(repo._deleteById(doc._id, { optimisticLock: uuid() })).to.be.rejectedWith(OptimisticLockViolationError)
+    expect(await repo._exists({ _id: doc._id })).to.be.true()
+
+    await repo._deleteById(doc._id, { optimisticLock: doc._optimisticLock })
+    expect(await repo._exists({ _id: doc._id })).to.be.false()
+
+    await expect(repo._deleteById(doc._id, { optimisticLock: doc._optimisticLock })).to.be.rejectedWith(ObjectNotFoundError)
+  })
+
+  it('should insert many documents', async function () {
+    const docs = [{ _id: uuid(), _a: 1 }, { _a: 2 }]
+    await repo._insertMany(docs)
+    expect(docs[1]._id).to.be.ok()
+    expect(await repo._find({ _id: { $in: docs.map(it => it._id) } }, { sort: { _a: 1 } })).to.deep.equal(docs)
+
+    expect(await repo._bulkWrite([])).to.be.null()
+  })
+
+  it('should report per-item failures when inserting many documents in order', async function () {
+    const existing = { _id: uuid(), _a: 0 }
+    await repo._insert(existing)
+    const docs = [{ _id: uuid(), _a: 1 }, { ...existing }, { _id: uuid(), _a: 2 }]
+
+    try {
+      await repo._insertMany(docs)
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.instanceOf(BulkOperationError)
+      expect(e.info.succeeded).to.deep.equal([docs[0]._id])
+      expect(e.info.unattempted).to.deep.equal([docs[2]._id])
+      expect(e.info.failed.length).to.equal(1)
+      expect(e.info.failed[0].index).to.equal(1)
+      expect(e.info.failed[0]._id).to.equal(existing._id)
+      expect(e.info.failed[0].error).to.be.instanceOf(UniqueKeyViolationError)
+    }
+    expect(await repo._exists({ _id: docs[2]._id })).to.be.false()
+  })
+
+  it('should report per-item failures when inserting many documents out of order', async function () {
+    const existing = { _id: uuid(), _a: 0 }
+    await repo._insert(existing)
+    const docs = [{ ...existing }, { _id: uuid(), _a: 1 }, { ...existing }, { _id: uuid(), _a: 2 }]
+
+    try {
+      await repo._insertMany(docs, { ordered: false })
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e).to.be.instanceOf(BulkOperationError)
+      expect(e.info.succeeded).to.deep.equal([docs[1]._id, docs[3]._id])
+      expect(e.info.unattempted).to.deep.equal([])
+      expect(e.info.failed.map(it => it.index)).to.deep.equal([0, 2])
+      e.info.failed.forEach(it => expect(it.error).to.be.instanceOf(UniqueKeyViolationError))
+    }
+    expect(await repo._count({ _id: { $in: [docs[1]._id, docs[3]._id] } })).to.equal(2)
+  })
+
+  it('should upsert many documents overriding collection', async function () {
+    const opts = { collection: db.collection('bars') }
+    const existing = { _id: uuid(), _a: 0, _b: 0 }
+    await repo._insert(existing, opts)
+
+    const docs = [{ _id: existing._id, _a: 1 }, { _a: 2 }]
+    await repo._upsertMany(docs, opts)
+
+    expect(await repo._getById(existing._id, opts)).to.deep.equal({ _id: existing._id, _a: 1, _b: 0 })
+    expect(await repo._getById(docs[1]._id, opts)).to.deep.equal(docs[1])
+  })
+
+  it('should delete a document', async function () {
+    const doc = { _id: uuid(), _a: 1 }
+    await repo._insert(doc)
+
+    await repo._deleteById(doc._id)
+    expect(await repo._findById(doc._id, { includeDeleted: true })).to.be.null()
+  })
+
+  it('should soft delete, restore & purge documents', async function () {
+    const softRepo = new SoftDeletingRepo({ db, collection })
+    const _tag = uuid()
+    const doc = { _id: uuid(), _a: 1, _tag }
+    const other = { _id: uuid(), _a: 2, _tag }
+    await softRepo._insertMany([doc, other])
+
+    await softRepo._deleteById(doc._id, { actor: 'someone' })
+
+    expect(await softRepo._findById(doc._id)).to.be.null()
+    expect(await softRepo._find({ _tag })).to.deep.equal([other])
+    expect(await softRepo._findOne({ _tag })).to.deep.equal(other)
+    expect(await softRepo._count({ _tag })).to.equal(1)
+    expect(await softRepo._exists({ _id: doc._id })).to.be.false()
+    expect((await softRepo._findPage({ _tag })).items).to.deep.equal([other])
+
+    const deleted = await softRepo._getById(doc._id, { includeDeleted: true })
+    expect(deleted._deletedAt).to.be.instanceOf(Date)
+    expect(deleted._deletedBy).to.equal('someone')
+    expect(await softRepo._count({ _tag }, { includeDeleted: true })).to.equal(2)
+
+    await softRepo._restoreById(doc._id)
+    expect(await softRepo._getById(doc._id)).to.deep.equal(doc)
+    await expect(softRepo._restoreById(doc._id)).to.be.rejectedWith(ObjectNotFoundError)
+
+    await softRepo._deleteById(doc._id)
+    expect(await softRepo._purgeDeleted({ olderThan: new Date(0) })).to.equal(0)
+    expect(await softRepo._purgeDeleted({ olderThan: new Date() })).to.be.gte(1)
+    expect(await softRepo._findById(doc._id, { includeDeleted: true })).to.be.null()
+    expect(await softRepo._findById(other._id)).to.deep.equal(other)
+  })
+
+  it('should enforce optimistic locks when soft deleting a document', async function () {
+    const softRepo = new SoftDeletingRepo({ db, collection })
+    const doc = { _id: uuid(), _a: 1, _optimisticLock: null }
+    await softRepo._insert(doc)
+    await softRepo._update(doc)
+
+    await expect(softRepo._deleteById(doc._id, { optimisticLock: uuid() })).to.be.rejectedWith(OptimisticLockViolationError)
+    expect(await softRepo._exists({ _id: doc._id })).to.be.true()
+
+    await softRepo._deleteById(doc._id, { optimisticLock: doc._optimisticLock })
+    expect(await softRepo._exists({ _id: doc._id })).to.be.false()
+  })
+
+  it('should stamp audit times & actors', async function () {
+    const stampingRepo = new StampingRepo({ db, collection })
+    const t0 = stampingRepo.now = new Date('2020-01-01T00:00:00Z')
+    stampingRepo.actor = 'creator'
+
+    const doc = { _id: uuid(), _a: 1 }
+    await stampingRepo._insert(doc)
+    expect(doc).to.deep.include({ _createdAt: t0, _createdBy: 'creator', _updatedAt: t0, _updatedBy: 'creator' })
+    expect(await stampingRepo._getById(doc._id)).to.deep.equal(doc)
+
+    const t1 = stampingRepo.now = new Date('2020-01-02T00:00:00Z')
+    stampingRepo.actor = 'updater'
+    doc._a = 2
+    await stampingRepo._update(doc)
+    expect(doc).to.deep.include({ _createdAt: t0, _createdBy: 'creator', _updatedAt: t1, _updatedBy: 'updater' })
+    expect(await stampingRepo._getById(doc._id)).to.deep.equal(doc)
+
+    const t2 = stampingRepo.now = new Date('2020-01-03T00:00:00Z')
+    await stampingRepo._upsert({ _id: doc._id, _a: 3, _createdAt: t2 })
+    expect(await stampingRepo._getById(doc._id)).to.deep.include({ _a: 3, _createdAt: t0, _createdBy: 'creator', _updatedAt: t2 })
+
+    const upserted = await stampingRepo._upsert({ _a: 4 })
+    expect(upserted).to.deep.include({ _createdAt: t2, _updatedAt: t2 })
+    expect(await stampingRepo._getById(upserted._id)).to.deep.equal(upserted)
+
+    const t3 = stampingRepo.now = new Date('2020-01-04T00:00:00Z')
+    stampingRepo.actor = undefined
+    await stampingRepo._overwrite({ _id: doc._id, _b: 1 })
+    expect(await stampingRepo._getById(doc._id)).to.deep.equal({
+      _id: doc._id,
+      _b: 1,
+      _createdAt: t0,
+      _createdBy: 'creator',
+      _updatedAt: t3
+    })
+  })
+
+  for (const historyMode of ['snapshot', 'diff']) {
+    it(`should record & replay change history in ${historyMode} mode`, async function () {
+      const historyRepo = new HistoryRecordingRepo({ db, collection, historyCollection: db.collection('history'), historyMode })
+      historyRepo._actorProvider = () => 'someone'
+      const timeOf = async () => {
+        await Promise.delay(5)
+        const it = new Date()
+        await Promise.delay(5)
+        return it
+      }
+
+      const doc = { _id: uuid(), _a: 1, _b: 1 }
+      await historyRepo._insert(doc)
+      const t0 = await timeOf()
+      await historyRepo._update({ _id: doc._id, _a: 2 })
+      const t1 = await timeOf()
+      await historyRepo._overwrite({ _id: doc._id, _c: 3 })
+      const t2 = await timeOf()
+      await historyRepo._deleteById(doc._id)
+      const t3 = await timeOf()
+      await historyRepo._upsert({ _id: doc._id, _d: 4 })
+
+      const history = await historyRepo._historyOf(doc._id)
+      expect(history.map(it => it.operation)).to.deep.equal(['insert', 'update', 'overwrite', 'delete', 'upsert'])
+      history.forEach(it => {
+        expect(it.documentId).to.equal(doc._id)
+        expect(it.actor).to.equal('someone')
+        expect(it.at).to.be.instanceOf(Date)
+      })
+      if (historyMode === 'snapshot') {
+        expect(history[1].before).to.deep.equal({ _id: doc._id, _a: 1, _b: 1 })
+        expect(history[1].after).to.deep.equal({ _id: doc._id, _a: 2, _b: 1 })
+      } else {
+        expect(history[1].diff).to.deep.equal({ set: { _a: 2 }, unset: [] })
+        expect(history[2].diff).to.deep.equal({ set: { _c: 3 }, unset: ['_a', '_b'] })
+        expect(history[3].diff).to.be.null()
+      }
+
+      expect(await historyRepo._asOf(doc._id, new Date(0))).to.be.null()
+      expect(await historyRepo._asOf(doc._id, t0)).to.deep.equal({ _id: doc._id, _a: 1, _b: 1 })
+      expect(await historyRepo._asOf(doc._id, t1)).to.deep.equal({ _id: doc._id, _a: 2, _b: 1 })
+      expect(await historyRepo._asOf(doc._id, t2)).to.deep.equal({ _id: doc._id, _c: 3 })
+      expect(await historyRepo._asOf(doc._id, t3)).to.be.null()
+      expect(await historyRepo._asOf(doc._id, new Date())).to.deep.equal({ _id: doc._id, _d: 4 })
+    })
+  }
+
+  it('should record change history of bulk writes & purges', async function () {
+    const historyRepo = new HistoryRecordingRepo({ db, collection, historyCollection: db.collection('history') })
+    historyRepo._softDelete = true
+    const [a, b] = [uuid(), uuid()]
+
+    await historyRepo._insertMany([{ _id: a, _a: 1 }, { _id: b, _a: 1 }])
+    await historyRepo._upsertMany([{ _id: a, _a: 2 }])
+    await expect(historyRepo._bulkWrite([
+      { updateOne: { filter: { _id: b }, update: { $set: { _a: 3 } } } },
+      { insertOne: { document: { _id: a } } } // fails as a duplicate
+    ])).to.be.rejectedWith(BulkOperationError)
+    await historyRepo._deleteById(b)
+    await historyRepo._purgeDeleted()
+
+    const operationsOf = async id => (await historyRepo._historyOf(id)).map(it => it.operation)
+    expect(await operationsOf(a)).to.deep.equal(['insert', 'upsert'])
+    expect(await operationsOf(b)).to.deep.equal(['insert', 'update', 'delete', 'purge'])
+
+    const history = await historyRepo._historyOf(b)
+    expect(history[1].before).to.deep.equal({ _id: b, _a: 1 })
+    expect(history[1].after).to.deep.equal({ _id: b, _a: 3 })
+    expect(history[3].after).to.be.null()
+    expect(await historyRepo._asOf(b, new Date())).to.be.null()
+  })
+
+  it('should record change history within a transaction', async function () {
+    if (!(await db.admin().command({ isMaster: 1 })).setName) this.skip() // transactions require a replica set
+
+    const historyCollection = db.collection('history')
+    const historyRepo = new HistoryRecordingRepo({ db, collection, historyCollection })
+    const doc = { _id: uuid(), _a: 1 }
+
+    await expect(historyRepo._transactionallyExecute(async session => {
+      await historyRepo._insert(doc, { options: { session } })
+      throw new Error('boom')
+    })).to.be.rejectedWith('boom')
+
+    expect(await historyRepo._exists({ _id: doc._id })).to.be.false()
+    expect(await historyRepo._historyOf(doc._id)).to.deep.equal([])
+  })
+
+  it('should propagate the transaction session to helpers', async function () {
+    if (!(await db.admin().command({ isMaster: 1 })).setName) this.skip() // transactions require a replica set
+
+    const txRepo = new HistoryRecordingRepo({ db, collection })
+    const committed = { _id: uuid(), _a: 1 }
+    const aborted = { _id: uuid(), _a: 1 }
+
+    expect(await txRepo._transactionallyExecute(async () => {
+      await txRepo._insert(committed)
+      await txRepo._transactionallyExecute(async () => txRepo._update({ ...committed, _a: 2 }))
+      expect(await txRepo._getById(committed._id)).to.deep.equal({ ...committed, _a: 2 })
+      return 'done'
+    })).to.equal('done')
+    expect(await txRepo._getById(committed._id)).to.deep.equal({ ...committed, _a: 2 })
+
+    await expect(txRepo._transactionallyExecute(async () => {
+      await txRepo._insert(aborted)
+      throw new Error('boom')
+    })).to.be.rejectedWith('boom')
+    expect(await txRepo._findById(aborted._id)).to.be.null()
+  })
+
   it('should be null on findById with unknown id', async function () {
     expect(await repo._findById(uuid())).to.be.null()
   })
@@ -156,6 +492,131 @@ describe('integration tests of MongoRepository', () => {
     expect(async () => await repo._insert().to.throw(IllegalArgumentError))
   })
 
+  it('should find documents by criteria', async function () {
+    const _tag = uuid()
+    const docs = [1, 2, 3].map(_a => ({ _id: uuid(), _a, _tag }))
+    for (const doc of docs) await repo._insert(doc)
+
+    let them = await repo._find({ _tag }, { sort: { _a: -1 } })
+    expect(them.map(it => it._a)).to.deep.equal([3, 2, 1])
+
+    them = await repo._find({ _tag }, { sort: { _a: 1 }, skip: 1, limit: 1, projection: { _a: 1 } })
+    expect(them).to.deep.equal([{ _id: docs[1]._id, _a: 2 }])
+
+    expect(await repo._count({ _tag })).to.equal(3)
+    expect(await repo._count({ _tag }, { skip: 1 })).to.equal(2)
+    expect(await repo._count({ _tag: uuid() })).to.equal(0)
+
+    expect(await repo._exists({ _tag })).to.be.true()
+    expect(await repo._exists({ _tag: uuid() })).to.be.false()
+  })
+
+  it('should find one document by criteria', async function () {
+    const _tag = uuid()
+    const doc = { _id: uuid(), _a: 1, _tag }
+    await repo._insert(doc)
+
+    expect(await repo._findOne({ _tag })).to.deep.equal(doc)
+    expect(await repo._findOne({ _tag: uuid() })).to.be.null()
+
+    await repo._insert({ _id: uuid(), _a: 2, _tag })
+
+    try {
+      await repo._findOne({ _tag })
+      expect.fail('should have thrown')
+    } catch (e) {
+      expect(e.name).to.equal('NonuniqueCriteriaError')
+      expect(e.code).to.equal(NonuniqueCriteriaError.CODE)
+    }
+  })
+
+  it('should find documents by criteria overriding collection', async function () {
+    const _tag = uuid()
+    const doc = { _id: uuid(), _a: 1, _tag }
+    const opts = { collection: db.collection('bars') }
+    await repo._insert(doc, opts)
+
+    expect(await repo._find({ _tag }, opts)).to.deep.equal([doc])
+    expect(await repo._findOne({ _tag }, opts)).to.deep.equal(doc)
+    expect(await repo._count({ _tag }, opts)).to.equal(1)
+    expect(await repo._exists({ _tag }, opts)).to.be.true()
+    expect(await repo._exists({ _tag })).to.be.false()
+  })
+
+  it('should page through documents by criteria', async function () {
+    const _tag = uuid()
+    const docs = [1, 1, 2, 3, 3, 3, 4].map((_a, i) => ({ _id: `${_tag}-${i}`, _a, _tag }))
+    for (const doc of docs) await repo._insert(doc)
+
+    const pageThrough = async (sort) => {
+      const ids = []
+      let page = { hasMore: true }
+      while (page.hasMore) {
+        page = await repo._findPage({ _tag }, { sort, limit: 3, token: page.nextToken })
+        expect(page.items.length).to.be.lte(3)
+        ids.push(...page.items.map(it => it._id))
+      }
+      expect(page.nextToken).to.be.null()
+      return ids
+    }
+
+    expect(await pageThrough({ _a: 1 })).to.deep.equal(docs.map(it => it._id))
+    expect(await pageThrough({ _a: -1 })).to.deep.equal(docs.map(it => it._id).reverse())
+
+    const page = await repo._findPage({ _tag }, { limit: 3, projection: { _tag: 1 } })
+    expect(page.hasMore).to.be.true()
+    expect(page.items[0]).to.deep.equal({ _id: docs[0]._id, _tag })
+
+    await expect(repo._findPage({ _tag }, { sort: { _a: 1 }, token: page.nextToken }))
+      .to.be.rejectedWith(IllegalArgumentError)
+    await expect(repo._findPage({ _tag }, { token: 'not a token' }))
+      .to.be.rejectedWith(IllegalArgumentError)
+  })
+
+  it('should page through documents overriding collection', async function () {
+    const _tag = uuid()
+    const opts = { collection: db.collection('bars') }
+    const docs = [1, 2, 3].map(_a => ({ _id: uuid(), _a, _tag }))
+    for (const doc of docs) await repo._insert(doc, opts)
+
+    let page = await repo._findPage({ _tag }, { ...opts, sort: { _a: 1 }, limit: 2 })
+    expect(page.items).to.deep.equal(docs.slice(0, 2))
+    expect(page.hasMore).to.be.true()
+
+    page = await repo._findPage({ _tag }, { ...opts, sort: { _a: 1 }, limit: 2, token: page.nextToken })
+    expect(page.items).to.deep.equal(docs.slice(2))
+    expect(page.hasMore).to.be.false()
+  })
+
+  it('should stream documents by criteria', async function () {
+    const _tag = uuid()
+    const docs = [1, 2, 3, 4, 5].map(_a => ({ _id: uuid(), _a, _tag }))
+    for (const doc of docs) await repo._insert(doc)
+
+    const streamed = []
+    for await (const it of repo._stream({ _tag }, { sort: { _a: 1 }, batchSize: 2, map: doc => doc._a })) {
+      streamed.push(it)
+    }
+    expect(streamed).to.deep.equal([1, 2, 3, 4, 5])
+
+    const partial = []
+    for await (const it of repo._stream({ _tag }, { sort: { _a: 1 }, batchSize: 2 })) {
+      partial.push(it)
+      if (partial.length === 2) break
+    }
+    expect(partial).to.deep.equal(docs.slice(0, 2))
+  })
+
+  it('should translate errors while streaming documents', async function () {
+    const translated = new Error('translated')
+    const translatingRepo = new Repo({ db, collection })
+    translatingRepo._translateError = () => translated
+
+    await expect((async () => {
+      for await (const it of translatingRepo._stream({ _a: { $bogus: 1 } })) expect.fail(`should not have yielded ${it}`)
+    })()).to.be.rejectedWith(translated)
+  })
+
   it('should remove nullishes', function () {
     const o = { a: 'a', b: { c: undefined, d: { e: null } }, f: ['f', { g: null, h: 'h' }] }
     const actual = repo._removeNullishesIn(o)
@@ -15,6 +15,15 @@ const { traits } = require('@ballistagroup/mutrait')
 const { MongoRepository, MongoSchemaVersionRepository } = require('../../../main/repositories')
 const { MongoSchemaMigrationRepositorySupport } = require('../../../main/traits')
 const { SchemaVersion } = require('../../../main/entities')
+const {
+  IrreversibleMigrationError,
+  SchemaLockTimeoutError,
+  SchemaLockLostError,
+  MigrationChecksumError,
+  MigrationFailedError,
+  DuplicateMigrationError
+} = require('../../../main/errors')
+const { sources } = require('../../../main/migrations')
 const semver = require('semver')
 const pkg = require('../../../../package.json')
 const Promise = require('bluebird')
@@ -47,6 +56,28 @@ class Repo extends traits(MongoRepository, MongoSchemaMigrationRepositorySupport
     })
   }
 
+  static async rollbackSchema ({ db, name = Repo.DEFAULT_COLLECTION_NAME, to }) {
+    return this._rollbackSchema({
+      db,
+      name,
+      schemaVersionId: Repo.SCHEMA_VERSION_ID,
+      pkg,
+      migrationsDir: path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID)),
+      to
+    })
+  }
+
+  static async schemaMigrationPlan ({ db, name = Repo.DEFAULT_COLLECTION_NAME, dryRun }) {
+    return this._schemaMigrationPlan({
+      db,
+      name,
+      schemaVersionId: Repo.SCHEMA_VERSION_ID,
+      pkg,
+      migrationsDir: path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID)),
+      dryRun
+    })
+  }
+
   static async ensureIndexes (collection) {
     Repo.ensureIndexesCalled = true
   }
@@ -228,4 +259,629 @@ describe('integration tests of MongoSchemaMigrationRepositorySupport', function
     const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
     expect(semver.eq(schemaVersion.semver, pkg.version)).eq(true)
   })
+
+  describe('rollbacks', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+    let downs
+
+    const mockMigrations = migrations => {
+      mockfs(Object.keys(migrations).reduce((accum, version) => ({ ...accum, [`${migrationsDir}/${version}`]: {} }), {}))
+      Object.keys(migrations).forEach(version => mockRequire(`${migrationsDir}/${version}`, migrations[version]))
+    }
+
+    const reversible = version => ({
+      up: async () => {},
+      down: async ({ db, name }) => {
+        downs.push(version)
+        await db.collection(name).updateMany({}, { $unset: { [`_${version}`]: '' } })
+      }
+    })
+
+    const setVersion = async semver => {
+      const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver }))
+      return schemaVersionRepository
+    }
+
+    beforeEach(function () {
+      downs = []
+    })
+
+    it('should run down migrations in reverse order & record the version', async function () {
+      mockMigrations({ '0.1.0': reversible('0.1.0'), '0.2.0': reversible('0.2.0'), '0.3.0': reversible('0.3.0'), '0.4.0': reversible('0.4.0') })
+
+      try {
+        const schemaVersionRepository = await setVersion('0.3.0')
+
+        await Repo.rollbackSchema({ db, to: '0.1.0' })
+
+        expect(downs).to.deep.equal(['0.3.0', '0.2.0'])
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.1.0')
+        expect(schemaVersion.locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should refuse to roll back across irreversible migrations', async function () {
+      mockMigrations({
+        '0.1.0': reversible('0.1.0'),
+        '0.2.0': { ...reversible('0.2.0'), irreversible: true },
+        '0.3.0': reversible('0.3.0'),
+        '0.3.1': async () => {}
+      })
+
+      try {
+        const schemaVersionRepository = await setVersion('0.3.1')
+
+        const e = await expect(Repo.rollbackSchema({ db, to: '0.1.0' })).to.be.rejectedWith(IrreversibleMigrationError)
+        expect(e.info.irreversible).to.deep.equal(['0.3.1', '0.2.0'])
+        expect(downs).to.be.empty()
+
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.3.1')
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+  })
+
+  describe('plans', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+
+    const migrate = async ({ db, name, schemaVersionRepository, schemaVersion }) => {
+      const count = await db.collection(name).countDocuments()
+      await db.collection(name).updateMany({}, { $set: { _count: count } })
+      schemaVersion.semver = '0.2.0'
+      await schemaVersionRepository.upsert(schemaVersion)
+    }
+
+    it('should report the status & pending migrations without locking', async function () {
+      mockfs({ [`${migrationsDir}/0.1.0`]: {}, [`${migrationsDir}/0.2.0`]: {}, [`${migrationsDir}/0.3.0`]: {} })
+      mockRequire(`${migrationsDir}/0.1.0`, migrate)
+      mockRequire(`${migrationsDir}/0.2.0`, { up: migrate, down: async () => {} })
+      mockRequire(`${migrationsDir}/0.3.0`, migrate)
+
+      try {
+        const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+        await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.1.0' }).withLocked('someone'))
+
+        const plan = await Repo.schemaMigrationPlan({ db })
+
+        expect(plan).to.deep.equal({
+          id: Repo.SCHEMA_VERSION_ID,
+          current: '0.1.0',
+          target: pkg.version,
+          create: false,
+          locked: true,
+          lockedBy: 'someone',
+          pending: [{ version: '0.2.0', irreversible: false }, { version: '0.3.0', irreversible: true }]
+        })
+        expect((await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })).locked).to.equal('someone')
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should dry run pending migrations', async function () {
+      mockfs({ [`${migrationsDir}/0.2.0`]: {} })
+      mockRequire(`${migrationsDir}/0.2.0`, migrate)
+
+      try {
+        const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+        await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.1.0' }))
+
+        const { pending: [{ operations }] } = await Repo.schemaMigrationPlan({ db, dryRun: true })
+
+        expect(operations.map(({ target, operation }) => [target, operation])).to.deep.equal([
+          [Repo.DEFAULT_COLLECTION_NAME, 'updateMany'],
+          [MongoSchemaVersionRepository.DEFAULT_COLLECTION_NAME, 'updateOne']
+        ])
+        expect(operations[0].args[1]).to.deep.equal({ $set: { _count: 1 } })
+
+        expect(await db.collection(Repo.DEFAULT_COLLECTION_NAME).countDocuments({ _count: { $exists: true } })).to.equal(0)
+        expect((await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })).semver).to.equal('0.1.0')
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should plan & dry run the creation of a schema without a stored version', async function () {
+      mockfs({ [`${migrationsDir}/0.2.0`]: {} })
+      mockRequire(`${migrationsDir}/0.2.0`, async () => expect.fail('should not have migrated'))
+
+      try {
+        await db.collection(MongoSchemaVersionRepository.DEFAULT_COLLECTION_NAME).deleteMany({})
+
+        expect(await Repo.schemaMigrationPlan({ db, dryRun: true })).to.deep.equal({
+          id: Repo.SCHEMA_VERSION_ID,
+          current: null,
+          target: pkg.version,
+          create: true,
+          locked: false,
+          lockedBy: null,
+          pending: []
+        })
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+  })
+
+  describe('leased locks', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+    let schemaVersionRepository
+
+    beforeEach(async function () {
+      schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+    })
+
+    const lockedBySomeoneElse = async ({ leaseMillis }) => schemaVersionRepository.upsert(new SchemaVersion({
+      id: Repo.SCHEMA_VERSION_ID,
+      semver: '0.0.1'
+    }).withLease({ lock: 'someone-else', leaseMillis }))
+
+    it('should fail after waiting the maximum for an unexpired lock', async function () {
+      this.timeout(10000)
+      await lockedBySomeoneElse({ leaseMillis: 60000 })
+
+      await expect(Repo._ensureSchema({
+        db,
+        name: Repo.DEFAULT_COLLECTION_NAME,
+        schemaVersionId: Repo.SCHEMA_VERSION_ID,
+        pkg,
+        migrationsDir,
+        options: { schemaVersionLockPauseSeconds: 0.1, schemaVersionLockMaxWaitSeconds: 0.5 }
+      })).to.be.rejectedWith(SchemaLockTimeoutError)
+    })
+
+    it('should take over an expired lock', async function () {
+      this.timeout(10000)
+      mockfs({ [`${migrationsDir}/0.1.0`]: {} })
+      let migrated = false
+      mockRequire(`${migrationsDir}/0.1.0`, async () => { migrated = true })
+
+      try {
+        await lockedBySomeoneElse({ leaseMillis: 200 })
+
+        await Repo._ensureSchema({
+          db,
+          name: Repo.DEFAULT_COLLECTION_NAME,
+          schemaVersionId: Repo.SCHEMA_VERSION_ID,
+          pkg,
+          migrationsDir,
+          options: { schemaVersionLockPauseSeconds: 0.1, schemaVersionLockMaxWaitSeconds: 5 }
+        })
+
+        expect(migrated).to.be.true()
+        expect((await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })).locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should renew the lease while migrating', async function () {
+      this.timeout(10000)
+      mockfs({ [`${migrationsDir}/0.1.0`]: {} })
+      let during
+      mockRequire(`${migrationsDir}/0.1.0`, async ({ schemaVersion }) => {
+        await Promise.delay(1500)
+        during = await schemaVersionRepository.findById({ id: schemaVersion.id })
+      })
+
+      try {
+        await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+
+        const start = Date.now()
+        await Repo._ensureSchema({
+          db,
+          name: Repo.DEFAULT_COLLECTION_NAME,
+          schemaVersionId: Repo.SCHEMA_VERSION_ID,
+          pkg,
+          migrationsDir,
+          options: { schemaVersionLockLeaseSeconds: 1, schemaVersionLockHeartbeatSeconds: 0.2 }
+        })
+
+        expect(during.locked.startsWith(MongoSchemaVersionRepository.formatLock(pkg))).to.be.true()
+        expect(during.lockExpires.getTime()).to.be.above(start + 1500)
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should stop migrating once the lease is lost', async function () {
+      this.timeout(10000)
+      mockfs({ [`${migrationsDir}/0.1.0`]: {}, [`${migrationsDir}/0.2.0`]: {} })
+      let migrated = false
+      mockRequire(`${migrationsDir}/0.1.0`, async ({ schemaVersion }) => {
+        await schemaVersionRepository.forceUnlock({ id: schemaVersion.id }) // as if the lease expired & another process took over
+        await Promise.delay(500)
+      })
+      mockRequire(`${migrationsDir}/0.2.0`, async () => { migrated = true })
+
+      try {
+        await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+
+        await expect(Repo._ensureSchema({
+          db,
+          name: Repo.DEFAULT_COLLECTION_NAME,
+          schemaVersionId: Repo.SCHEMA_VERSION_ID,
+          pkg,
+          migrationsDir,
+          options: { schemaVersionLockLeaseSeconds: 1, schemaVersionLockHeartbeatSeconds: 0.1 }
+        })).to.be.rejectedWith(SchemaLockLostError)
+
+        expect(migrated).to.be.false()
+        expect((await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })).semver).to.equal('0.0.1')
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should force-release a lock', async function () {
+      await lockedBySomeoneElse({ leaseMillis: 60000 })
+
+      expect(await Repo._forceReleaseSchemaLock({ db, schemaVersionId: Repo.SCHEMA_VERSION_ID })).to.be.true()
+      expect(await Repo._forceReleaseSchemaLock({ db, schemaVersionId: Repo.SCHEMA_VERSION_ID })).to.be.false()
+
+      const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+      expect(schemaVersion.locked).to.be.false()
+      expect(schemaVersion.lockExpires).to.be.undefined()
+    })
+  })
+
+  describe('concurrency', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+
+    it('should migrate exactly once among racing processes', async function () {
+      this.timeout(20000)
+      mockfs({ [`${migrationsDir}/0.1.0`]: {}, [`${migrationsDir}/0.2.0`]: {} })
+      const runs = []
+      const migrate = version => async ({ db, name, schemaVersionRepository, schemaVersion }) => {
+        runs.push(version)
+        await Promise.delay(50)
+        schemaVersion.semver = version
+        await schemaVersionRepository.upsert(schemaVersion)
+      }
+      mockRequire(`${migrationsDir}/0.1.0`, migrate('0.1.0'))
+      mockRequire(`${migrationsDir}/0.2.0`, migrate('0.2.0'))
+
+      try {
+        const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+        await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+
+        const collections = await Promise.all(Array.from({ length: 10 }, () => Repo._ensureSchema({
+          db,
+          name: Repo.DEFAULT_COLLECTION_NAME,
+          schemaVersionId: Repo.SCHEMA_VERSION_ID,
+          pkg,
+          migrationsDir,
+          options: { schemaVersionLockPauseSeconds: 0.05 }
+        })))
+
+        expect(runs).to.deep.equal(['0.1.0', '0.2.0'])
+        collections.forEach(it => expect(it.collectionName).to.equal(Repo.DEFAULT_COLLECTION_NAME))
+
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.2.0')
+        expect(schemaVersion.locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should create a new schema version exactly once among racing processes', async function () {
+      this.timeout(20000)
+      await dropCollections({ db })
+      let creations = 0
+      let indexed = false
+
+      const returned = await Promise.all(Array.from({ length: 10 }, () => Repo._ensureSchema({
+        db,
+        name: Repo.DEFAULT_COLLECTION_NAME,
+        schemaVersionId: Repo.SCHEMA_VERSION_ID,
+        pkg,
+        options: { schemaVersionLockPauseSeconds: 0.05 },
+        ensureIndexesFn: async () => {
+          creations++
+          await Promise.delay(500)
+          indexed = true
+        }
+      }).then(() => indexed)))
+
+      expect(creations).to.equal(1)
+      expect(returned).to.deep.equal(Array(10).fill(true)) // no racer returned before the indexes were ensured
+    })
+
+    it('should redo a failed creation', async function () {
+      await dropCollections({ db })
+      const schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      let seeded = 0
+
+      const ensureSchema = () => Repo._ensureSchema({
+        db,
+        name: Repo.DEFAULT_COLLECTION_NAME,
+        schemaVersionId: Repo.SCHEMA_VERSION_ID,
+        pkg,
+        ensureSeedDataFn: async () => {
+          if (++seeded === 1) throw new Error('boom')
+        }
+      })
+
+      await expect(ensureSchema()).to.be.rejectedWith('boom')
+
+      let schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+      expect(schemaVersion.creating).to.be.true()
+      expect(schemaVersion.locked).to.be.false()
+      expect((await Repo.schemaMigrationPlan({ db })).create).to.be.true()
+
+      await ensureSchema()
+
+      expect(seeded).to.equal(2)
+      schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+      expect(schemaVersion.creating).to.be.undefined()
+      expect(schemaVersion.semver).to.equal(pkg.version)
+      expect((await Repo.schemaMigrationPlan({ db })).create).to.be.false()
+    })
+  })
+
+  describe('history', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+    let schemaVersionRepository
+
+    const ensureSchema = options => Repo._ensureSchema({
+      db,
+      name: Repo.DEFAULT_COLLECTION_NAME,
+      schemaVersionId: Repo.SCHEMA_VERSION_ID,
+      pkg,
+      migrationsDir,
+      options
+    })
+
+    beforeEach(async function () {
+      schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+    })
+
+    it('should record migrations run', async function () {
+      mockfs({ [`${migrationsDir}/0.1.0`]: { 'index.js': 'v1' }, [`${migrationsDir}/0.2.0`]: { 'index.js': 'v1' } })
+      mockRequire(`${migrationsDir}/0.1.0`, async () => {})
+      mockRequire(`${migrationsDir}/0.2.0`, async () => { throw new Error('boom') })
+
+      try {
+        await expect(ensureSchema()).to.be.rejectedWith('boom')
+
+        const history = await schemaVersionRepository.migrationHistory({ id: Repo.SCHEMA_VERSION_ID })
+        expect(history.map(({ version, direction, outcome }) => ({ version, direction, outcome }))).to.deep.equal([
+          { version: '0.1.0', direction: 'up', outcome: 'succeeded' },
+          { version: '0.2.0', direction: 'up', outcome: 'failed' }
+        ])
+        expect(history[0].owner.startsWith(MongoSchemaVersionRepository.formatLock(pkg))).to.be.true()
+        expect(history[0].ended.getTime() - history[0].started.getTime()).to.equal(history[0].durationMillis)
+        expect(history[0].checksum).to.match(/^sha256:[0-9a-f]{64}$/)
+        expect(history[0].error).to.be.null()
+        expect(history[1].error.message).to.equal('boom')
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should fail upon changed sources of applied migrations if configured', async function () {
+      mockRequire(`${migrationsDir}/0.1.0`, async ({ schemaVersion, schemaVersionRepository }) => {
+        schemaVersion.semver = '0.1.0'
+        await schemaVersionRepository.upsert(schemaVersion)
+      })
+
+      try {
+        mockfs({ [`${migrationsDir}/0.1.0`]: { 'index.js': 'v1' } })
+        await ensureSchema()
+        mockfs.restore()
+
+        mockfs({ [`${migrationsDir}/0.1.0`]: { 'index.js': 'v2' } })
+        const e = await expect(ensureSchema({ schemaMigrationChecksumMismatch: 'fail' })).to.be.rejectedWith(MigrationChecksumError)
+        expect(e.info.mismatches.map(it => it.version)).to.deep.equal(['0.1.0'])
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+  })
+
+  describe('failure recovery', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+    let schemaVersionRepository
+
+    const ensureSchema = ({ options, client } = {}) => Repo._ensureSchema({
+      db,
+      name: Repo.DEFAULT_COLLECTION_NAME,
+      schemaVersionId: Repo.SCHEMA_VERSION_ID,
+      pkg,
+      migrationsDir,
+      options,
+      client
+    })
+
+    beforeEach(async function () {
+      schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+    })
+
+    it('should release the lock, keep the versions applied & resume from the failed migration', async function () {
+      mockfs({ [`${migrationsDir}/0.1.0`]: {}, [`${migrationsDir}/0.2.0`]: {}, [`${migrationsDir}/0.3.0`]: {} })
+      const runs = { '0.1.0': 0, '0.2.0': 0, '0.3.0': 0 }
+      let fail = true
+
+      mockRequire(`${migrationsDir}/0.1.0`, async () => { runs['0.1.0']++ })
+      mockRequire(`${migrationsDir}/0.2.0`, async () => {
+        runs['0.2.0']++
+        if (fail) throw new Error('boom')
+      })
+      mockRequire(`${migrationsDir}/0.3.0`, async () => { runs['0.3.0']++ })
+
+      try {
+        const e = await expect(ensureSchema()).to.be.rejectedWith(MigrationFailedError)
+        expect(e.message).to.include('0.2.0')
+        expect(e.info).to.deep.equal({ id: Repo.SCHEMA_VERSION_ID, version: '0.2.0', direction: 'up' })
+        expect(e.cause.message).to.equal('boom')
+
+        let schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.1.0')
+        expect(schemaVersion.locked).to.be.false()
+
+        fail = false
+        await ensureSchema()
+
+        expect(runs).to.deep.equal({ '0.1.0': 1, '0.2.0': 2, '0.3.0': 1 })
+        schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(semver.gte(schemaVersion.semver, '0.3.0')).to.be.true()
+        expect(schemaVersion.locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should resume a failed migration while waiting on its lock', async function () {
+      this.timeout(10000)
+      mockfs({ [`${migrationsDir}/0.1.0`]: {} })
+      let runs = 0
+
+      mockRequire(`${migrationsDir}/0.1.0`, async () => {
+        if (++runs === 1) {
+          await Promise.delay(1000)
+          throw new Error('boom')
+        }
+      })
+
+      try {
+        const options = { schemaVersionLockPauseSeconds: 0.1 }
+        const failing = ensureSchema({ options })
+        await Promise.delay(200)
+        const waiting = ensureSchema({ options })
+
+        await expect(failing).to.be.rejectedWith(MigrationFailedError)
+        await waiting
+
+        expect(runs).to.equal(2)
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(semver.gte(schemaVersion.semver, '0.1.0')).to.be.true()
+        expect(schemaVersion.locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should not store versions once another process has taken over the lock', async function () {
+      mockfs({ [`${migrationsDir}/0.1.0`]: {} })
+
+      mockRequire(`${migrationsDir}/0.1.0`, async () => {
+        // simulate another process taking over the lock while this migration runs
+        await schemaVersionRepository.forceUnlock({ id: Repo.SCHEMA_VERSION_ID })
+        await schemaVersionRepository.tryLock({ id: Repo.SCHEMA_VERSION_ID, owner: 'other' })
+      })
+
+      try {
+        const e = await expect(ensureSchema()).to.be.rejectedWith(SchemaLockLostError)
+        expect(e.info.semver).to.equal('0.1.0')
+
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.0.1')
+        expect(schemaVersion.locked).to.equal('other')
+        expect(schemaVersion.lockExpires).to.be.an.instanceof(Date)
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should roll back a failed migration run within a transaction', async function () {
+      if (!(await db.admin().command({ isMaster: 1 })).setName) this.skip() // transactions require a replica set
+
+      mockfs({ [`${migrationsDir}/0.1.0`]: {} })
+      const collection = db.collection(Repo.DEFAULT_COLLECTION_NAME)
+      mockRequire(`${migrationsDir}/0.1.0`, async ({ session }) => {
+        expect(session).to.be.ok()
+        await collection.insertOne({ _id: 'migrated' }, { session })
+        throw new Error('boom')
+      })
+
+      try {
+        await expect(ensureSchema({ options: { schemaMigrationTransactions: true }, client: db.client }))
+          .to.be.rejectedWith(MigrationFailedError)
+
+        expect(await collection.findOne({ _id: 'migrated' })).to.be.null()
+        const schemaVersion = await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })
+        expect(schemaVersion.semver).to.equal('0.0.1')
+        expect(schemaVersion.locked).to.be.false()
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+  })
+
+  describe('migration sources', function () {
+    const migrationsDir = path.resolve(path.join(__dirname, 'migrations', Repo.SCHEMA_VERSION_ID))
+    let schemaVersionRepository
+
+    const ensureSchema = migrationSource => Repo._ensureSchema({
+      db,
+      name: Repo.DEFAULT_COLLECTION_NAME,
+      schemaVersionId: Repo.SCHEMA_VERSION_ID,
+      pkg,
+      migrationSource
+    })
+
+    beforeEach(async function () {
+      schemaVersionRepository = new MongoSchemaVersionRepository(await MongoSchemaVersionRepository.ensureSchema({ db }))
+      await schemaVersionRepository.upsert(new SchemaVersion({ id: Repo.SCHEMA_VERSION_ID, semver: '0.0.1' }))
+    })
+
+    it('should run migrations from composed sources in order', async function () {
+      const migrated = []
+
+      mockfs({ [`${migrationsDir}/0.2.0-add-index.js`]: 'v1' })
+      mockRequire(`${migrationsDir}/0.2.0-add-index.js`, async () => { migrated.push('0.2.0') })
+
+      try {
+        await ensureSchema(sources.compose(
+          sources.filesystem(migrationsDir),
+          sources.programmatic({
+            '0.1.0': async () => { migrated.push('0.1.0') },
+            '0.3.0': async () => { migrated.push('0.3.0') }
+          })
+        ))
+
+        expect(migrated).to.deep.equal(['0.1.0', '0.2.0', '0.3.0'])
+        const history = await schemaVersionRepository.migrationHistory({ id: Repo.SCHEMA_VERSION_ID })
+        expect(history.map(it => it.version)).to.deep.equal(['0.1.0', '0.2.0', '0.3.0'])
+      } finally {
+        mockfs.restore()
+        mockRequire.stopAll()
+      }
+    })
+
+    it('should refuse to migrate given ambiguous versions', async function () {
+      let migrated = false
+      const up = async () => { migrated = true }
+
+      await expect(ensureSchema(sources.compose(sources.programmatic({ '0.1.0': up }), sources.programmatic({ '0.1.0': up }))))
+        .to.be.rejectedWith(DuplicateMigrationError)
+
+      expect(migrated).to.be.false()
+      expect((await schemaVersionRepository.findById({ id: Repo.SCHEMA_VERSION_ID })).locked).to.not.be.ok()
+    })
+  })
 })
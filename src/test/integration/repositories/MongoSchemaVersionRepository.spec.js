@@ -50,4 +50,48 @@ describe('integration tests of MongoSchemaVersionRepository', function () {
       expect(e).to.be.instanceOf(ObjectNotFoundError)
     }
   })
+
+  it('should lock atomically & unlock only by owner', async function () {
+    await repo.upsert(new SchemaVersion({ id: 'foobar', semver: '0.1.0' }))
+
+    const locked = await repo.tryLock({ id: 'foobar', owner: 'a', leaseMillis: 60000 })
+    expect(locked.locked).to.equal('a')
+    expect(locked.lockExpires).to.be.above(new Date())
+
+    expect(await repo.tryLock({ id: 'foobar', owner: 'b' })).to.be.null()
+    expect(await repo.tryLock({ id: 'foobar', owner: 'a' })).to.be.null()
+    expect(await repo.unlock({ id: 'foobar', owner: 'b' })).to.be.false()
+    expect(await repo.unlock({ id: 'foobar', owner: 'a' })).to.be.true()
+
+    expect((await repo.tryLock({ id: 'foobar', owner: 'b' })).locked).to.equal('b')
+    expect(await repo.tryLock({ id: 'missing', owner: 'b' })).to.be.null()
+  })
+
+  it('should lock once among racing owners', async function () {
+    await repo.upsert(new SchemaVersion({ id: 'foobar', semver: '0.1.0' }))
+
+    const results = await Promise.all(Array.from({ length: 20 }, (_, i) => repo.tryLock({ id: 'foobar', owner: `owner-${i}` })))
+
+    expect(results.filter(it => it)).to.have.length(1)
+  })
+
+  it('should take over expired locks', async function () {
+    await repo.upsert(new SchemaVersion({ id: 'foobar', semver: '0.1.0' }))
+
+    await repo.tryLock({ id: 'foobar', owner: 'a', leaseMillis: -1 })
+    expect((await repo.tryLock({ id: 'foobar', owner: 'b' })).locked).to.equal('b')
+  })
+
+  it('should commit versions only by owner, keeping the lock', async function () {
+    await repo.upsert(new SchemaVersion({ id: 'foobar', semver: '0.1.0' }))
+    const locked = await repo.tryLock({ id: 'foobar', owner: 'a' })
+
+    expect(await repo.commitVersion({ id: 'foobar', owner: 'b', semver: '0.3.0' })).to.be.false()
+    expect(await repo.commitVersion({ id: 'foobar', owner: 'a', semver: '0.2.0' })).to.be.true()
+
+    const committed = await repo.getById({ id: 'foobar' })
+    expect(committed.semver).to.equal('0.2.0')
+    expect(committed.locked).to.equal('a')
+    expect(committed.lockExpires).to.deep.equal(locked.lockExpires)
+  })
 })
@@ -0,0 +1,126 @@
+/* global describe, it, before, beforeEach */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const mongoose = require('mongoose')
+const uuid = require('uuid').v4
+const { mongooseConnect } = require('@ballistagroup/mongo-test-support')
+const { traits } = require('@ballistagroup/mutrait')
+const { MongooseRepository } = require('../../../main/repositories')
+const {
+  DocumentValidationError,
+  NonuniqueCriteriaError,
+  ObjectExistsError,
+  ObjectNotFoundError,
+  UniqueKeyViolationError
+} = require('../../../main/errors')
+
+class Thing {
+  constructor ({ id, name, size } = {}) {
+    this._id = id
+    this._name = name
+    this._size = size
+  }
+}
+
+class ThingRepository extends traits(MongooseRepository) {
+  constructor ({ connection }) {
+    super(...arguments)
+    const schema = new mongoose.Schema({
+      _id: String,
+      _name: { type: String, required: true },
+      _size: Number
+    }, { versionKey: false })
+    this._initMongooseRepository(connection, connection.model(`Thing-${uuid()}`, schema, uuid()))
+  }
+
+  _fromDocument ({ plain }) {
+    return Object.assign(Object.create(Thing.prototype), plain)
+  }
+}
+
+describe('integration tests of MongooseRepository', function () {
+  let connection
+  let repo
+
+  before(async function () {
+    this.timeout(10000)
+    connection = await mongooseConnect(process.env.CI_COMMIT_SHA ? { host: 'localhost', port: 37017 } : undefined)
+  })
+
+  beforeEach(async function () {
+    repo = new ThingRepository({ connection })
+    await repo._model.createCollection()
+  })
+
+  it('should insert, find, get & delete by id', async function () {
+    const thing = await repo.insert(new Thing({ name: 'a', size: 1 }))
+    expect(thing._id).to.be.ok()
+
+    const found = await repo.findById(thing._id)
+    expect(found).to.be.an.instanceOf(Thing)
+    expect(found._name).to.equal('a')
+    expect(await repo.exists(thing)).to.be.true()
+
+    expect(await repo.deleteById(thing._id)).to.be.true()
+    expect(await repo.deleteById(thing._id)).to.be.false()
+    expect(await repo.findById(thing._id)).to.be.null()
+    await expect(repo.getById(thing._id)).to.be.rejectedWith(ObjectNotFoundError)
+  })
+
+  it('should translate duplicate key & validation errors', async function () {
+    await repo.insert(new Thing({ id: 'dup', name: 'a' }))
+
+    const exists = await repo.insert(new Thing({ id: 'dup', name: 'b' })).catch(e => e)
+    expect(exists).to.be.an.instanceof(ObjectExistsError)
+    expect(exists.cause).to.be.an.instanceof(UniqueKeyViolationError)
+    await expect(repo.insert(new Thing({ id: 'nameless' }))).to.be.rejectedWith(DocumentValidationError)
+  })
+
+  it('should upsert', async function () {
+    const thing = await repo.upsert(new Thing({ name: 'a', size: 1 }))
+    thing._name = 'b'
+    await repo.upsert(thing)
+
+    expect((await repo.getById(thing._id))._name).to.equal('b')
+    expect(await repo.count()).to.equal(1)
+  })
+
+  it('should find, find one, count & page by criteria', async function () {
+    for (let size = 0; size < 5; size++) await repo.insert(new Thing({ id: `t${size}`, name: size % 2 ? 'odd' : 'even', size }))
+
+    expect((await repo.find({ _name: 'odd' }, { sort: { _size: 1 } })).map(it => it._size)).to.deep.equal([1, 3])
+    expect(await repo.count({ _size: { $gte: 2 } })).to.equal(3)
+    expect((await repo.findOne({ _size: 4 }))._id).to.equal('t4')
+    expect(await repo.findOne({ _size: 42 })).to.be.null()
+    await expect(repo.findOne({ _name: 'odd' })).to.be.rejectedWith(NonuniqueCriteriaError)
+
+    const sizes = []
+    let page = { nextToken: undefined }
+    do {
+      page = await repo.findPage({}, { sort: { _size: -1 }, limit: 2, token: page.nextToken })
+      sizes.push(...page.items.map(it => it._size))
+    } while (page.hasMore)
+    expect(sizes).to.deep.equal([4, 3, 2, 1, 0])
+  })
+
+  it('should join transactions via sessions', async function () {
+    if (!(await connection.db.admin().command({ isMaster: 1 })).setName) this.skip() // transactions require a replica set
+
+    const session = await connection.startSession()
+    try {
+      session.startTransaction()
+      await repo.insert(new Thing({ id: 'aborted', name: 'a' }), { session })
+      expect(await repo.findById('aborted', { session })).to.be.ok()
+      await session.abortTransaction()
+    } finally {
+      session.endSession()
+    }
+
+    expect(await repo.findById('aborted')).to.be.null()
+  })
+})
@@ -0,0 +1,72 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { MetricsCollector } = require('../../../main/instrumentation')
+
+describe('unit tests of MetricsCollector', function () {
+  const newCollector = () => {
+    const metrics = new MetricsCollector({ buckets: [0.01, 0.1] })
+    metrics.after({ repository: 'Repo', operation: 'insert', durationMillis: 5, count: 1 })
+    metrics.after({ repository: 'Repo', operation: 'insert', durationMillis: 50, count: 2 })
+    metrics.error({ repository: 'Repo', operation: 'insert', durationMillis: 500, error: { name: 'UniqueKeyViolationError' } })
+    return metrics
+  }
+
+  it('should count operations, errors & documents, and record latencies', function () {
+    expect(newCollector().snapshot()).to.deep.equal([{
+      repository: 'Repo',
+      operation: 'insert',
+      calls: 3,
+      errors: { UniqueKeyViolationError: 1 },
+      documents: 3,
+      latency: {
+        count: 3,
+        sumSeconds: 0.555,
+        buckets: [{ le: 0.01, count: 1 }, { le: 0.1, count: 2 }]
+      }
+    }])
+  })
+
+  it('should keep metrics per repository & operation', function () {
+    const metrics = newCollector()
+    metrics.after({ repository: 'Repo', operation: 'findById', durationMillis: 1, count: 0 })
+    metrics.after({ repository: 'Other', operation: 'insert', durationMillis: 1, count: 1 })
+
+    expect(metrics.snapshot().map(it => [it.repository, it.operation, it.calls])).to.deep.equal([
+      ['Repo', 'insert', 3],
+      ['Repo', 'findById', 1],
+      ['Other', 'insert', 1]
+    ])
+  })
+
+  it('should format metrics as Prometheus text', function () {
+    const text = newCollector().toPrometheus()
+
+    expect(text).to.include('# TYPE repository_operations_total counter\n')
+    expect(text).to.include('repository_operations_total{repository="Repo",operation="insert"} 3\n')
+    expect(text).to.include('repository_operation_errors_total{repository="Repo",operation="insert",error="UniqueKeyViolationError"} 1\n')
+    expect(text).to.include('repository_operation_documents_total{repository="Repo",operation="insert"} 3\n')
+    expect(text).to.include('# TYPE repository_operation_duration_seconds histogram\n')
+    expect(text).to.include('repository_operation_duration_seconds_bucket{repository="Repo",operation="insert",le="0.01"} 1\n')
+    expect(text).to.include('repository_operation_duration_seconds_bucket{repository="Repo",operation="insert",le="0.1"} 2\n')
+    expect(text).to.include('repository_operation_duration_seconds_bucket{repository="Repo",operation="insert",le="+Inf"} 3\n')
+    expect(text).to.include('repository_operation_duration_seconds_count{repository="Repo",operation="insert"} 3\n')
+  })
+
+  it('should escape label values', function () {
+    const metrics = new MetricsCollector()
+    metrics.after({ repository: 'a"b\\c', operation: 'insert', durationMillis: 1, count: 1 })
+
+    expect(metrics.toPrometheus()).to.include('{repository="a\\"b\\\\c",operation="insert"}')
+  })
+
+  it('should reset', function () {
+    const metrics = newCollector()
+    metrics.reset()
+    expect(metrics.snapshot()).to.deep.equal([])
+  })
+})
@@ -0,0 +1,148 @@
+/* global describe, it, beforeEach, afterEach */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { sources } = require('../../../main/migrations')
+const { DuplicateMigrationError } = require('../../../main/errors')
+
+describe('unit tests of migration sources', function () {
+  let dir
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('filesystem', function () {
+    it('should find migrations in version directories & version files in ascending order', async function () {
+      write('0.10.0/index.js', 'module.exports = async () => \'0.10.0\'')
+      write('0.2.0-add-index.js', 'module.exports = { up: async () => \'0.2.0\', down: async () => {} }')
+      write('0.3.0.js', 'module.exports = async () => \'0.3.0\'')
+      write('README.md', 'not a migration')
+      write('lib/helpers.js', 'module.exports = {}')
+
+      const migrations = sources.filesystem(dir).migrations()
+
+      expect(migrations.map(it => it.version)).to.deep.equal(['0.2.0', '0.3.0', '0.10.0'])
+      expect(migrations[0].origin).to.equal(path.join(dir, '0.2.0-add-index.js'))
+
+      const migration = migrations[0].load()
+      expect(migration.version).to.equal('0.2.0')
+      expect(migration.irreversible).to.be.false()
+      expect(await migration.up()).to.equal('0.2.0')
+      expect(migration.checksum).to.equal(migrations[0].checksum())
+      expect(migration.checksum).to.match(/^sha256:[0-9a-f]{64}$/)
+
+      expect(migrations[2].load().irreversible).to.be.true()
+    })
+
+    it('should have no migrations if the directory does not exist', function () {
+      expect(sources.filesystem(path.join(dir, 'nonexistent')).migrations()).to.be.empty()
+      expect(sources.filesystem().migrations()).to.be.empty()
+    })
+
+    it('should report a version defined by both a directory & a file', function () {
+      write('0.2.0/index.js', 'module.exports = async () => {}')
+      write('0.2.0-add-index.js', 'module.exports = async () => {}')
+
+      try {
+        sources.filesystem(dir).migrations()
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceof(DuplicateMigrationError)
+        expect(e.info.duplicates).to.deep.equal([{
+          version: '0.2.0',
+          origins: [path.join(dir, '0.2.0'), path.join(dir, '0.2.0-add-index.js')].sort()
+        }])
+      }
+    })
+  })
+
+  describe('programmatic', function () {
+    it('should take an array of migrations', async function () {
+      const source = sources.programmatic([
+        { version: '1.0.0', up: async () => 'up 1.0.0', down: async () => {} },
+        { version: '0.9.0', up: async () => 'up 0.9.0', checksum: 'v1' }
+      ])
+
+      const migrations = source.migrations()
+      expect(migrations.map(it => it.version)).to.deep.equal(['0.9.0', '1.0.0'])
+      expect(migrations.map(it => it.origin)).to.deep.equal(['programmatic[1]', 'programmatic[0]'])
+
+      const [first, second] = migrations.map(it => it.load())
+      expect(await first.up()).to.equal('up 0.9.0')
+      expect(first.irreversible).to.be.true()
+      expect(first.checksum).to.equal('v1')
+      expect(second.irreversible).to.be.false()
+      expect(second.checksum).to.match(/^sha256:[0-9a-f]{64}$/)
+    })
+
+    it('should take a map or object of migrations keyed by version', async function () {
+      const up = async () => 'up'
+
+      expect(sources.programmatic(new Map([['0.2.0', up], ['0.1.0', { up }]])).migrations().map(it => it.version))
+        .to.deep.equal(['0.1.0', '0.2.0'])
+      expect(await sources.programmatic({ '0.1.0': up }).migrations()[0].load().up()).to.equal('up')
+    })
+
+    it('should checksum the source code of the functions', function () {
+      const checksum = up => sources.programmatic({ '0.1.0': up }).migrations()[0].checksum()
+
+      expect(checksum(async () => 1)).to.equal(checksum(async () => 1))
+      expect(checksum(async () => 1)).to.not.equal(checksum(async () => 2))
+    })
+
+    it('should reject invalid versions', function () {
+      expect(() => sources.programmatic([{ version: 'latest', up: async () => {} }])).to.throw(IllegalArgumentError)
+    })
+
+    it('should report duplicate versions', function () {
+      const source = sources.programmatic([
+        { version: '0.1.0', up: async () => {} },
+        { version: '0.1.0+build.2', up: async () => {} }
+      ], { name: 'mine' })
+
+      expect(() => source.migrations()).to.throw(DuplicateMigrationError, '0.1.0')
+    })
+  })
+
+  describe('compose', function () {
+    it('should merge the migrations of the sources in ascending order', function () {
+      write('0.1.0.js', 'module.exports = async () => {}')
+      write('0.3.0.js', 'module.exports = async () => {}')
+
+      const source = sources.compose(sources.filesystem(dir), sources.programmatic({ '0.2.0': async () => {} }))
+
+      expect(source.migrations().map(it => it.version)).to.deep.equal(['0.1.0', '0.2.0', '0.3.0'])
+    })
+
+    it('should report versions held by more than one source', function () {
+      write('0.1.0.js', 'module.exports = async () => {}')
+
+      const source = sources.compose(sources.filesystem(dir), sources.programmatic({ '0.1.0': async () => {} }, { name: 'bundle' }))
+
+      try {
+        source.migrations()
+        expect.fail('should have thrown')
+      } catch (e) {
+        expect(e).to.be.an.instanceof(DuplicateMigrationError)
+        expect(e.info.duplicates).to.deep.equal([{ version: '0.1.0', origins: [path.join(dir, '0.1.0.js'), 'bundle[0]'] }])
+      }
+    })
+  })
+})
@@ -0,0 +1,54 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { traits } = require('@ballistagroup/mutrait')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { InMemoryRepository } = require('../../../main/repositories')
+const repositoryContract = require('../../contract/repositories/repository.contract')
+
+class Repo extends traits(InMemoryRepository) {
+  constructor ({ collection } = {}) {
+    super(...arguments)
+    if (collection) this._collection = collection
+  }
+}
+
+describe('unit tests of InMemoryRepository', function () {
+  repositoryContract({ name: 'InMemoryRepository', newRepository: async () => new Repo() })
+
+  it('should reject unsupported operators', async function () {
+    const repo = new Repo()
+    await repo._insert({ _id: 1 })
+
+    await expect(repo._find({ $where: 'true' })).to.be.rejectedWith(IllegalArgumentError)
+    await expect(repo._find({ _id: { $mod: [2, 1] } })).to.be.rejectedWith(IllegalArgumentError)
+  })
+
+  it('should roll back writes to every repository in a transaction', async function () {
+    const collection = new Map()
+    const repo = new Repo({ collection })
+    const other = new Repo()
+
+    await expect(repo._transactionallyExecute(async () => {
+      await repo._insert({ _id: 1 })
+      await other._transactionallyExecute(async () => other._insert({ _id: 2 }))
+      throw new Error('boom')
+    })).to.be.rejectedWith('boom')
+
+    expect(collection.size).to.equal(0)
+    expect(await other._findById(2)).to.be.null()
+  })
+
+  it('should key non-primitive ids by value', async function () {
+    const repo = new Repo()
+    await repo._insert({ _id: { a: 1 } })
+
+    expect(await repo._findById({ _id: { a: 1 } })).to.deep.equal({ _id: { a: 1 } })
+    await expect(repo._insert({ _id: { a: 1 } })).to.be.rejected()
+  })
+})
@@ -0,0 +1,312 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { traits } = require('@ballistagroup/mutrait')
+const { MongoRepository } = require('../../../main/repositories')
+
+class Repo extends traits(MongoRepository) {
+  constructor ({ client, collection }) {
+    super(...arguments)
+    this._client = client
+    this._collection = collection
+  }
+}
+
+/**
+ * A fake mongodb client whose sessions record the transaction lifecycle & whose commits fail as scripted.
+ */
+class FakeClient {
+  constructor ({ commitErrors = [] } = {}) {
+    this.events = []
+    this.commitErrors = commitErrors
+  }
+
+  startSession () {
+    const client = this
+    let inTransaction = false
+
+    return {
+      startTransaction () {
+        inTransaction = true
+        client.events.push('start')
+      },
+      inTransaction: () => inTransaction,
+      async commitTransaction () {
+        client.events.push('commit')
+        const e = client.commitErrors.shift()
+        if (e) throw e
+        inTransaction = false
+      },
+      async abortTransaction () {
+        inTransaction = false
+        client.events.push('abort')
+      },
+      async endSession () {
+        client.events.push('end')
+      }
+    }
+  }
+}
+
+const labeled = label => Object.assign(new Error(label), { errorLabels: [label] })
+
+const notPrimary = () => Object.assign(new Error('not primary'), { code: 10107 })
+
+/**
+ * Returns a fake mongodb collection whose `findOne` & `insertOne` fail with the given errors before succeeding.
+ */
+const failingCollection = (...errors) => {
+  const collection = { calls: 0 }
+  const op = async () => {
+    collection.calls++
+    const e = errors.shift()
+    if (e) throw e
+    return { _id: 1 }
+  }
+  collection.findOne = op
+  collection.insertOne = op
+  return collection
+}
+
+describe('unit tests of MongoRepository', function () {
+  describe('_transactionallyExecute', function () {
+    it('should commit, return the function\'s result & end the session afterward', async function () {
+      const client = new FakeClient()
+      const repo = new Repo({ client })
+
+      const result = await repo._transactionallyExecute(async session => {
+        expect(session).to.be.ok()
+        expect(client.events).to.deep.equal(['start'])
+        return 'result'
+      })
+
+      expect(result).to.equal('result')
+      expect(client.events).to.deep.equal(['start', 'commit', 'end'])
+    })
+
+    it('should abort & end the session when the function throws', async function () {
+      const client = new FakeClient()
+      const repo = new Repo({ client })
+
+      await expect(repo._transactionallyExecute(async () => { throw new Error('boom') })).to.be.rejectedWith('boom')
+      expect(client.events).to.deep.equal(['start', 'abort', 'end'])
+    })
+
+    it('should propagate the session to helpers called within the function', async function () {
+      const client = new FakeClient()
+      const calls = []
+      const collection = {
+        insertOne: async (doc, options) => calls.push(options),
+        findOne: async (filter, options) => calls.push(options)
+      }
+      const repo = new Repo({ client, collection })
+      const other = new Repo({ collection })
+      const unrelated = new Repo({ client: new FakeClient(), collection })
+
+      let theSession
+      await repo._transactionallyExecute(async session => {
+        theSession = session
+        await repo._insert({ _id: 1 })
+        await other._findById(1)
+        await unrelated._findById(1)
+        await repo._findById(1, { options: { session: 'explicit' } })
+      })
+      await repo._findById(1)
+
+      expect(calls.map(it => it?.session)).to.deep.equal([theSession, theSession, undefined, 'explicit', undefined])
+    })
+
+    it('should join a transaction already in progress', async function () {
+      const client = new FakeClient()
+      const repo = new Repo({ client })
+
+      await repo._transactionallyExecute(async outer => {
+        await repo._transactionallyExecute(async inner => expect(inner).to.equal(outer))
+      })
+
+      expect(client.events).to.deep.equal(['start', 'commit', 'end'])
+    })
+
+    it('should retry transient transaction errors', async function () {
+      const client = new FakeClient({ commitErrors: [labeled('UnknownTransactionCommitResult')] })
+      const repo = new Repo({ client })
+
+      let attempts = 0
+      const result = await repo._transactionallyExecute(async () => {
+        if (++attempts === 1) throw labeled('TransientTransactionError')
+        return attempts
+      })
+
+      expect(result).to.equal(2)
+      expect(client.events).to.deep.equal(['start', 'abort', 'start', 'commit', 'commit', 'end'])
+    })
+
+    it('should eventually give up retrying transient transaction errors', async function () {
+      const client = new FakeClient()
+      const repo = new Repo({ client })
+
+      let attempts = 0
+      await expect(repo._transactionallyExecute(async () => {
+        attempts++
+        throw labeled('TransientTransactionError')
+      })).to.be.rejectedWith('TransientTransactionError')
+
+      expect(attempts).to.equal(5)
+    })
+  })
+
+  describe('_tryDbOp', function () {
+    const retryPolicy = { maxAttempts: 3, initialDelayMillis: 1, maxDelayMillis: 2 }
+
+    it('should not retry unless a retry policy is set', async function () {
+      const collection = failingCollection(notPrimary())
+      const repo = new Repo({ collection })
+
+      await expect(repo._findById(1)).to.be.rejected()
+      expect(collection.calls).to.equal(1)
+    })
+
+    it('should retry transient failures, calling the retry hook before each retry', async function () {
+      const collection = failingCollection(notPrimary(), Object.assign(new Error('down'), { name: 'MongoNetworkError' }))
+      const repo = new Repo({ collection })
+      const retries = []
+      repo._retryPolicy = { ...retryPolicy, onRetry: it => retries.push(it) }
+
+      expect(await repo._findById(1)).to.deep.equal({ _id: 1 })
+      expect(collection.calls).to.equal(3)
+      expect(retries.map(it => it.attempt)).to.deep.equal([1, 2])
+      expect(retries.map(it => it.error.name)).to.deep.equal(['PrimaryUnavailableError', 'DatastoreConnectionError'])
+      retries.forEach(it => expect(it.delayMillis).to.be.within(0, 2))
+    })
+
+    it('should give up after the maximum number of attempts', async function () {
+      const collection = failingCollection(notPrimary(), notPrimary(), notPrimary())
+      const repo = new Repo({ collection })
+      repo._retryPolicy = retryPolicy
+
+      await expect(repo._findById(1)).to.be.rejectedWith('not primary')
+      expect(collection.calls).to.equal(3)
+    })
+
+    it('should not retry beyond the deadline', async function () {
+      const collection = failingCollection(notPrimary(), notPrimary())
+      const repo = new Repo({ collection })
+      repo._retryPolicy = { ...retryPolicy, initialDelayMillis: 1000, maxDelayMillis: 1000, jitter: 0, deadlineMillis: 500 }
+
+      await expect(repo._findById(1)).to.be.rejected()
+      expect(collection.calls).to.equal(1)
+    })
+
+    it('should not retry errors that are not transient', async function () {
+      const collection = failingCollection(Object.assign(new Error('dup'), { code: 11000 }))
+      const repo = new Repo({ collection })
+      repo._retryPolicy = retryPolicy
+
+      await expect(repo._findById(1)).to.be.rejected()
+      expect(collection.calls).to.equal(1)
+    })
+
+    it('should not retry operations that are not idempotent', async function () {
+      const collection = failingCollection(notPrimary())
+      const repo = new Repo({ collection })
+      repo._retryPolicy = retryPolicy
+
+      await expect(repo._insert({ _id: 1 })).to.be.rejected()
+      expect(collection.calls).to.equal(1)
+    })
+
+    it('should update an object whose retried update was applied before its reply was lost', async function () {
+      const collection = failingCollection(notPrimary())
+      collection.updateOne = async () => {
+        await collection.findOne() // fails the first attempt after applying the update
+        return { matchedCount: 1, modifiedCount: 0, result: { n: 1, nModified: 0 } }
+      }
+      const repo = new Repo({ collection })
+      repo._retryPolicy = retryPolicy
+
+      expect(await repo._update({ _id: 1, a: 1 })).to.deep.equal({ _id: 1, a: 1 })
+      expect(collection.calls).to.equal(2)
+    })
+
+    it('should not retry restores', async function () {
+      const collection = failingCollection(notPrimary())
+      collection.updateOne = async () => {
+        await collection.findOne()
+        return { matchedCount: 1 }
+      }
+      const repo = new Repo({ collection })
+      repo._retryPolicy = retryPolicy
+
+      await expect(repo._restoreById(1)).to.be.rejectedWith('not primary')
+      expect(collection.calls).to.equal(1)
+    })
+
+    it('should not retry operations within a transaction', async function () {
+      const collection = failingCollection(notPrimary())
+      const repo = new Repo({ client: new FakeClient(), collection })
+      repo._retryPolicy = retryPolicy
+
+      await expect(repo._transactionallyExecute(async () => repo._findById(1))).to.be.rejected()
+      expect(collection.calls).to.equal(1)
+    })
+  })
+
+  describe('instrumentation', function () {
+    const listening = repo => {
+      const events = []
+      repo._instrumentationListeners = [
+        ['before', 'after', 'error'].reduce((accum, name) => ({ ...accum, [name]: event => events.push({ name, ...event }) }), {}),
+        { before: () => { throw new Error('ignored') } }
+      ]
+      return events
+    }
+
+    it('should emit events around successful operations', async function () {
+      const repo = new Repo({ collection: { ...failingCollection(), collectionName: 'things' } })
+      const events = listening(repo)
+
+      await repo._insert({ _id: 1 })
+
+      expect(events.map(({ name, repository, operation, collection, count }) => ({ name, repository, operation, collection, count }))).to.deep.equal([
+        { name: 'before', repository: 'Repo', operation: 'insert', collection: 'things', count: undefined },
+        { name: 'after', repository: 'Repo', operation: 'insert', collection: 'things', count: 1 }
+      ])
+      expect(events[1].durationMillis).to.be.at.least(0)
+    })
+
+    it('should only emit events for the outermost operation', async function () {
+      const repo = new Repo({
+        collection: {
+          collectionName: 'things',
+          bulkWrite: async operations => ({ insertedCount: operations.length, result: { ok: 1 } })
+        }
+      })
+      const events = listening(repo)
+
+      await repo._insertMany([{ _id: 1 }, { _id: 2 }])
+
+      expect(events.map(({ name, operation, count }) => ({ name, operation, count }))).to.deep.equal([
+        { name: 'before', operation: 'insertMany', count: undefined },
+        { name: 'after', operation: 'insertMany', count: 2 }
+      ])
+    })
+
+    it('should emit translated errors of failed operations', async function () {
+      const repo = new Repo({ collection: failingCollection(notPrimary()) })
+      repo._repositoryName = 'Things'
+      const events = listening(repo)
+
+      await expect(repo._findById(1)).to.be.rejected()
+
+      expect(events.map(it => it.name)).to.deep.equal(['before', 'error'])
+      expect(events[1].repository).to.equal('Things')
+      expect(events[1].operation).to.equal('findById')
+      expect(events[1].error.name).to.equal('PrimaryUnavailableError')
+    })
+  })
+})
@@ -0,0 +1,291 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const moment = require('moment-timezone')
+const { Decimal128 } = require('mongodb')
+const { traits } = require('@ballistagroup/mutrait')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { MongooseRepository } = require('../../../main/repositories')
+const { ObjectExistsError, UniqueKeyViolationError } = require('../../../main/errors')
+const { Reference } = require('../../../main/mapping')
+
+class Money {
+  constructor (amount, currency) {
+    this._amount = amount
+    this._currency = currency
+  }
+}
+
+class Line {
+  constructor (sku, quantity) {
+    this._sku = sku
+    this._quantity = quantity
+  }
+}
+
+class Order {}
+
+class LineRepository extends traits(MongooseRepository) {
+  _fromDocument ({ plain }) {
+    return this._mapProps({ from: plain, to: Object.create(Line.prototype), getterPrefix: '', setterPrefix: '' })
+  }
+}
+
+class OrderRepository extends traits(MongooseRepository) {
+  get _propertyMappers () {
+    return {
+      placed: this._momentMapper(),
+      due: this._dateMapper(),
+      total: this._valueObjectMapper(Money, { _amount: this._decimal128Mapper({ numeric: false }) }),
+      lines: this._subEntityMapper(new LineRepository()),
+      counts: this._mapMapper(),
+      tags: this._composeMappers(this._twoWayMapper({ toDoc: it => it.toLowerCase(), toEntity: it => it.toUpperCase() }))
+    }
+  }
+
+  _fromDocument ({ plain, setterPrefix, getterPrefix }) {
+    return this._mapProps({
+      from: plain,
+      to: Object.create(Order.prototype),
+      keys: ['id', 'placed', 'due', 'total', 'lines', 'counts', 'tags'],
+      getterPrefix,
+      setterPrefix,
+      mappers: this._propertyMappers
+    })
+  }
+}
+
+const newOrder = () => Object.assign(new Order(), {
+  _id: 'o1',
+  _placed: moment.tz('2020-03-08T01:30:00', 'America/Chicago'),
+  _due: new Date('2020-04-01T00:00:00Z'),
+  _total: new Money('12.34', 'USD'),
+  _lines: [new Line('a', 1), new Line('b', 2)],
+  _counts: new Map([['x', 1], ['y', 2]]),
+  _tags: ['A', 'B']
+})
+
+class Customer {}
+
+class Invoice {}
+
+class InvoiceRepository extends traits(MongooseRepository) {
+  get _graphTypes () {
+    return [Invoice]
+  }
+
+  get _propertyMappers () {
+    return {
+      amount: this._decimal128Mapper(),
+      issued: this._momentMapper()
+    }
+  }
+}
+
+class Team {
+  static references = ['_sponsor']
+}
+
+class Person {
+  static references = ['_friends']
+}
+
+class CustomerRepository {
+  async findById (id) {
+    return Object.assign(new Customer(), { _id: id, _name: `customer ${id}` })
+  }
+}
+
+class TeamRepository extends traits(MongooseRepository) {
+  get _graphTypes () {
+    return [Team, Person]
+  }
+
+  get _referenceRepositories () {
+    return { _sponsor: new CustomerRepository() }
+  }
+}
+
+const newTeam = () => {
+  const team = Object.assign(new Team(), { _id: 't1', _sponsor: Object.assign(new Customer(), { _id: 'c1' }) })
+  const alice = Object.assign(new Person(), { _name: 'alice', _team: team, _friends: ['p9'] })
+  const bob = Object.assign(new Person(), { _name: 'bob', _team: team, _friends: [] })
+  team._captain = alice
+  team._members = [alice, bob]
+  return team
+}
+
+describe('unit tests of MongooseRepository', function () {
+  describe('two-way mappers', function () {
+    it('should map entities to documents', function () {
+      const doc = new OrderRepository()._toDocument(newOrder())
+
+      expect(doc._id).to.equal('o1')
+      expect(doc._placed).to.deep.equal({ instant: new Date('2020-03-08T07:30:00Z'), zone: 'America/Chicago', offset: -360 })
+      expect(doc._due).to.deep.equal(new Date('2020-04-01T00:00:00Z'))
+      expect(doc._total._amount).to.be.an.instanceof(Decimal128)
+      expect(doc._total._amount.toString()).to.equal('12.34')
+      expect(doc._total._currency).to.equal('USD')
+      expect(doc._lines).to.deep.equal([{ _sku: 'a', _quantity: 1 }, { _sku: 'b', _quantity: 2 }])
+      expect(doc._counts).to.deep.equal({ x: 1, y: 2 })
+      expect(doc._tags).to.deep.equal(['a', 'b'])
+    })
+
+    it('should round trip entities', function () {
+      const repo = new OrderRepository()
+      const order = repo._fromDocument({ plain: repo._toDocument(newOrder()), setterPrefix: '_', getterPrefix: '_' })
+
+      expect(order).to.be.an.instanceof(Order)
+      expect(order._placed.tz()).to.equal('America/Chicago')
+      expect(order._placed.format()).to.equal('2020-03-08T01:30:00-06:00')
+      expect(order._due).to.deep.equal(new Date('2020-04-01T00:00:00Z'))
+      expect(order._total).to.be.an.instanceof(Money)
+      expect(order._total).to.deep.equal(new Money('12.34', 'USD'))
+      expect(order._lines).to.have.length(2)
+      order._lines.forEach(it => expect(it).to.be.an.instanceof(Line))
+      expect(order._lines[1]).to.deep.equal(new Line('b', 2))
+      expect(order._counts).to.be.an.instanceof(Map)
+      expect([...order._counts.entries()]).to.deep.equal([['x', 1], ['y', 2]])
+      expect(order._tags).to.deep.equal(['A', 'B'])
+    })
+
+    it('should round trip entities via the default _fromDocument', function () {
+      const repo = new InvoiceRepository()
+      const invoice = Object.assign(new Invoice(), {
+        _id: 'i1',
+        _amount: 12.5,
+        _issued: moment.tz('2020-03-08T01:30:00', 'America/Chicago'),
+        _memo: 'thanks'
+      })
+
+      const doc = repo._toDocument(invoice)
+      expect(doc._amount).to.be.an.instanceof(Decimal128)
+
+      const it = repo._fromDocument({ plain: doc })
+      expect(it).to.be.an.instanceof(Invoice)
+      expect(it._amount).to.equal(12.5)
+      expect(moment.isMoment(it._issued)).to.be.true()
+      expect(it._issued.format()).to.equal('2020-03-08T01:30:00-06:00')
+      expect(it._memo).to.equal('thanks')
+    })
+
+    it('should preserve fixed offsets of moments without zones', function () {
+      const mapper = new OrderRepository()._momentMapper()
+      const it = mapper.toEntity(mapper.toDoc(moment.parseZone('2020-06-01T12:00:00+05:30')))
+
+      expect(it.utcOffset()).to.equal(330)
+      expect(it.format()).to.equal('2020-06-01T12:00:00+05:30')
+    })
+
+    it('should pass through nullish values', function () {
+      const repo = new OrderRepository()
+      const order = Object.assign(new Order(), { _id: 'o2', _placed: null })
+
+      const doc = repo._toDocument(order)
+      expect(doc).to.deep.equal({ _id: 'o2', _placed: null })
+      expect(repo._fromDocument({ plain: doc, setterPrefix: '_', getterPrefix: '_' })._placed).to.be.null()
+    })
+  })
+
+  describe('_tryAsync', function () {
+    const notPrimary = () => Object.assign(new Error('not primary'), { name: 'MongoError', code: 10107 })
+
+    const attempts = async session => {
+      const repo = new OrderRepository()
+      repo._retryPolicy = { maxAttempts: 3, initialDelayMillis: 1, maxDelayMillis: 2 }
+      let calls = 0
+
+      await repo._tryAsync(async () => {
+        if (++calls === 1) throw notPrimary()
+      }, { session }).catch(() => {})
+
+      return calls
+    }
+
+    it('should retry transient failures outside of transactions', async function () {
+      expect(await attempts()).to.equal(2)
+      expect(await attempts({ inTransaction: () => false })).to.equal(2)
+    })
+
+    it('should not retry operations within a transaction', async function () {
+      expect(await attempts({ inTransaction: () => true })).to.equal(1)
+    })
+  })
+
+  describe('insert', function () {
+    const duplicateKey = index => Object.assign(new Error(`E11000 duplicate key error collection: test.orders index: ${index} dup key`), { name: 'MongoError', code: 11000 })
+
+    const insert = async index => {
+      const repo = new OrderRepository()
+      repo._model = { create: async () => { throw duplicateKey(index) } }
+      return repo.insert({ _id: 'o1' }).catch(e => e)
+    }
+
+    it('should throw ObjectExistsError for duplicate ids only', async function () {
+      const exists = await insert('_id_')
+      expect(exists).to.be.an.instanceof(ObjectExistsError)
+      expect(exists.cause).to.be.an.instanceof(UniqueKeyViolationError)
+      expect(exists.info.entity._id).to.equal('o1')
+
+      const violation = await insert('_tag_1')
+      expect(violation).to.be.an.instanceof(UniqueKeyViolationError)
+      expect(violation).not.to.be.an.instanceof(ObjectExistsError)
+    })
+  })
+
+  describe('graphs', function () {
+    it('should write cycles & shared objects once', function () {
+      const doc = new TeamRepository()._toDocument(newTeam())
+
+      expect(doc).to.deep.equal({
+        __type: 'Team',
+        _id: 't1',
+        _sponsor: 'c1',
+        _captain: { __type: 'Person', _name: 'alice', _team: { __ref: [] }, _friends: ['p9'] },
+        _members: [
+          { __ref: ['_captain'] },
+          { __type: 'Person', _name: 'bob', _team: { __ref: [] }, _friends: [] }
+        ]
+      })
+    })
+
+    it('should rebuild graphs', async function () {
+      const repo = new TeamRepository()
+      const team = repo._fromDocument({ plain: repo._toDocument(newTeam()) })
+
+      expect(team).to.be.an.instanceof(Team)
+      expect(team._captain).to.be.an.instanceof(Person)
+      expect(team._members[0]).to.equal(team._captain)
+      expect(team._members[1]._team).to.equal(team)
+      expect(team._captain._friends).to.deep.equal(['p9'])
+
+      expect(team._sponsor).to.be.an.instanceof(Reference)
+      expect(team._sponsor.id).to.equal('c1')
+      expect(team._sponsor.loaded).to.be.false()
+      const sponsor = await team._sponsor.load()
+      expect(sponsor).to.be.an.instanceof(Customer)
+      expect(sponsor._name).to.equal('customer c1')
+      expect(team._sponsor.loaded).to.be.true()
+      expect(await team._sponsor.load()).to.equal(sponsor)
+
+      expect(repo._toDocument(team)._sponsor).to.equal('c1')
+    })
+
+    it('should reject unresolvable references & unknown types', function () {
+      const repo = new TeamRepository()
+
+      expect(() => repo._fromDocument({ plain: { _members: [{ __ref: ['_captain'] }] } })).to.throw(IllegalArgumentError)
+      expect(() => repo._fromDocument({ plain: { __type: 'Customer' } })).to.throw(IllegalArgumentError)
+    })
+
+    it('should require ids of referenced entities', function () {
+      const team = Object.assign(new Team(), { _id: 't2', _sponsor: new Customer() })
+
+      expect(() => new TeamRepository()._toDocument(team)).to.throw(IllegalArgumentError)
+    })
+  })
+})
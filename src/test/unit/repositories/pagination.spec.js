@@ -0,0 +1,42 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { findPage } = require('../../../main/repositories/pagination')
+
+const docs = [1, 2, 3].map(it => ({ _id: `d${it}`, _a: it, _b: 4 - it }))
+
+/**
+ * Returns a page of `docs` the way mongodb would, supporting only the filters of the first page & of the keyset after `_a` ascending.
+ */
+const find = async (filter, { limit }) => {
+  const after = filter.$and?.[1].$or[0]._a.$gt ?? 0
+  return docs.filter(it => it._a > after).slice(0, limit)
+}
+
+describe('unit tests of pagination', function () {
+  it('should continue from the token of the previous page of the same sort', async function () {
+    const first = await findPage(find, { filter: {}, sort: { _a: 1 }, limit: 2 })
+    expect(first.hasMore).to.be.true()
+
+    const second = await findPage(find, { filter: {}, sort: { _a: 1 }, limit: 2, token: first.nextToken })
+    expect(second.items.map(it => it._id)).to.deep.equal(['d3'])
+    expect(second.hasMore).to.be.false()
+  })
+
+  it('should reject tokens of other sorts', async function () {
+    const { nextToken: token } = await findPage(find, { filter: {}, sort: { _a: 1 }, limit: 1 })
+
+    for (const sort of [{ _b: 1 }, { _a: -1 }, { _a: 1, _b: 1 }, { _id: 1, _a: 1 }]) {
+      await expect(findPage(find, { filter: {}, sort, limit: 1, token }))
+        .to.be.rejectedWith(IllegalArgumentError, 'page token does not match sort')
+    }
+    await expect(findPage(find, { filter: {}, sort: { _a: 1 }, limit: 1, token: 'not a token' }))
+      .to.be.rejectedWith(IllegalArgumentError, 'malformed page token')
+  })
+})
@@ -0,0 +1,148 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { recordingDb } = require('../../../main/repositories')
+
+const fakeCollection = collectionName => ({
+  collectionName,
+  writes: 0,
+  async findOne (filter) {
+    return { _id: filter._id, collectionName }
+  },
+  async updateMany () {
+    this.writes++
+    return { modifiedCount: 1 }
+  },
+  aggregate (pipeline) {
+    return { toArray: async () => [{ collectionName, pipeline }] }
+  },
+  initializeOrderedBulkOp () {
+    throw new Error('should not build')
+  }
+})
+
+const fakeDb = () => {
+  const collections = { things: fakeCollection('things') }
+  return {
+    databaseName: 'test',
+    collection: name => collections[name] || (collections[name] = fakeCollection(name)),
+    async collections () {
+      return Object.values(collections)
+    },
+    async createCollection () {
+      throw new Error('should not create')
+    },
+    async dropCollection () {
+      throw new Error('should not drop')
+    },
+    async command (command) {
+      return { ok: 1, command }
+    },
+    admin: () => ({
+      async ping () {
+        return { ok: 1 }
+      },
+      async command (command) {
+        return { ok: 1, admin: true, command }
+      },
+      async removeUser () {
+        throw new Error('should not remove')
+      }
+    }),
+    collectionsByName: collections
+  }
+}
+
+describe('unit tests of recordingDb', function () {
+  it('should record writes instead of performing them', async function () {
+    const db = fakeDb()
+    const operations = []
+    const recording = recordingDb(db, operations)
+
+    await recording.collection('things').updateMany({}, { $set: { a: 1 } })
+    await recording.dropCollection('things')
+    const created = await recording.createCollection('more', { capped: false })
+    await created.updateMany({ a: 1 }, { $unset: { a: '' } })
+    await (await recording.collections())[0].updateMany({}, {})
+
+    expect(db.collectionsByName.things.writes).to.equal(0)
+    expect(operations).to.deep.equal([
+      { target: 'things', operation: 'updateMany', args: [{}, { $set: { a: 1 } }] },
+      { target: 'db', operation: 'dropCollection', args: ['things'] },
+      { target: 'db', operation: 'createCollection', args: ['more', { capped: false }] },
+      { target: 'more', operation: 'updateMany', args: [{ a: 1 }, { $unset: { a: '' } }] },
+      { target: 'things', operation: 'updateMany', args: [{}, {}] }
+    ])
+  })
+
+  it('should perform aggregations that do not write & record those that do', async function () {
+    const operations = []
+    const things = recordingDb(fakeDb(), operations).collection('things')
+
+    expect(await things.aggregate([{ $match: { a: 1 } }]).toArray()).to.deep.equal([{ collectionName: 'things', pipeline: [{ $match: { a: 1 } }] }])
+    expect(operations).to.be.empty()
+
+    const cursor = things.aggregate([{ $match: { a: 1 } }, { $out: 'others' }])
+    expect(await cursor.toArray()).to.deep.equal([])
+    for await (const it of cursor) expect.fail(`should have yielded nothing, not ${it}`)
+
+    expect(operations).to.deep.equal([{ target: 'things', operation: 'aggregate', args: [[{ $match: { a: 1 } }, { $out: 'others' }]] }])
+  })
+
+  it('should record the operations of bulk operation builders when executed', async function () {
+    const operations = []
+    const bulk = recordingDb(fakeDb(), operations).collection('things').initializeOrderedBulkOp()
+
+    bulk.insert({ _id: 1 })
+    bulk.find({ _id: 2 }).upsert().updateOne({ $set: { a: 1 } })
+    bulk.find({ _id: 3 }).deleteOne()
+    expect(bulk.length).to.equal(3)
+    expect(operations).to.be.empty()
+
+    await bulk.execute()
+
+    expect(operations).to.deep.equal([{
+      target: 'things',
+      operation: 'bulkWrite',
+      args: [[
+        { insertOne: { document: { _id: 1 } } },
+        { updateOne: { filter: { _id: 2 }, update: { $set: { a: 1 } }, upsert: true } },
+        { deleteOne: { filter: { _id: 3 } } }
+      ], { ordered: true }]
+    }])
+  })
+
+  it('should perform commands that only read & record the others', async function () {
+    const operations = []
+    const recording = recordingDb(fakeDb(), operations)
+
+    expect(await recording.command({ listIndexes: 'things' })).to.deep.equal({ ok: 1, command: { listIndexes: 'things' } })
+    expect(await recording.command({ collStats: 'things' })).to.deep.equal({ ok: 1, command: { collStats: 'things' } })
+    expect(await recording.admin().ping()).to.deep.equal({ ok: 1 })
+    expect(await recording.admin().command({ buildinfo: 1 })).to.deep.equal({ ok: 1, admin: true, command: { buildinfo: 1 } })
+    expect(operations).to.be.empty()
+
+    await recording.command({ collMod: 'things', validator: {} })
+    await recording.admin().command({ renameCollection: 'test.things', to: 'test.others' })
+    await recording.admin().removeUser('someone')
+
+    expect(operations).to.deep.equal([
+      { target: 'db', operation: 'command', args: [{ collMod: 'things', validator: {} }] },
+      { target: 'admin', operation: 'command', args: [{ renameCollection: 'test.things', to: 'test.others' }] },
+      { target: 'admin', operation: 'removeUser', args: ['someone'] }
+    ])
+  })
+
+  it('should perform reads', async function () {
+    const operations = []
+    const recording = recordingDb(fakeDb(), operations)
+
+    expect(recording.databaseName).to.equal('test')
+    expect(await recording.collection('things').findOne({ _id: 1 })).to.deep.equal({ _id: 1, collectionName: 'things' })
+    expect(operations).to.be.empty()
+  })
+})
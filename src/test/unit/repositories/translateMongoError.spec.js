@@ -0,0 +1,110 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const translateMongoError = require('../../../main/repositories/translateMongoError')
+const {
+  DatastoreConnectionError,
+  DatastoreTimeoutError,
+  DocumentValidationError,
+  PrimaryUnavailableError,
+  UnauthorizedError,
+  UniqueKeyViolationError,
+  WriteConflictError
+} = require('../../../main/errors')
+
+const mongoError = (props) => Object.assign(new Error(props.errmsg || 'mongo error'), { name: 'MongoError' }, props)
+
+describe('unit tests of translateMongoError', function () {
+  it('should translate duplicate key errors with index & key values', function () {
+    const cause = mongoError({
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: testdb.things index: name_1 dup key: { name: "x" }',
+      keyValue: { name: 'x' }
+    })
+
+    const e = translateMongoError(cause)
+
+    expect(e).to.be.instanceOf(UniqueKeyViolationError)
+    expect(e.cause).to.equal(cause)
+    expect(e.info).to.deep.equal({ index: 'name_1', keyValue: { name: 'x' } })
+    expect(e.retryable).to.be.false()
+  })
+
+  it('should take duplicate key values from the message of older servers', function () {
+    const e = translateMongoError(mongoError({
+      code: 11000,
+      errmsg: 'E11000 duplicate key error collection: testdb.things index: _id_ dup key: { : "x" }'
+    }))
+
+    expect(e.info).to.deep.equal({ index: '_id_', keyValue: '{ : "x" }' })
+  })
+
+  it('should translate document validation errors with the failing rule', function () {
+    const details = { operatorName: '$jsonSchema', schemaRulesNotSatisfied: [] }
+    const e = translateMongoError(mongoError({ code: 121, errInfo: { details } }))
+
+    expect(e).to.be.instanceOf(DocumentValidationError)
+    expect(e.info).to.deep.equal({ rule: details })
+    expect(e.retryable).to.be.false()
+  })
+
+  it('should translate transient & permanent failures', function () {
+    const cases = [
+      [mongoError({ code: 112 }), WriteConflictError, true],
+      [mongoError({ code: 10107 }), PrimaryUnavailableError, true],
+      [mongoError({ code: 189 }), PrimaryUnavailableError, true],
+      [mongoError({ code: 11602 }), PrimaryUnavailableError, true],
+      [mongoError({ code: 50 }), DatastoreTimeoutError, false],
+      [mongoError({ name: 'MongoServerSelectionError' }), DatastoreTimeoutError, true],
+      [mongoError({ name: 'MongoNetworkError' }), DatastoreConnectionError, true],
+      [mongoError({ code: 13 }), UnauthorizedError, false],
+      [mongoError({ code: 18 }), UnauthorizedError, false]
+    ]
+
+    cases.forEach(([cause, type, retryable]) => {
+      const e = translateMongoError(cause)
+      expect(e, cause.code || cause.name).to.be.instanceOf(type)
+      expect(e.cause).to.equal(cause)
+      expect(e.retryable).to.equal(retryable)
+    })
+  })
+
+  it('should mark errors labeled as retryable writes as retryable', function () {
+    const e = translateMongoError(mongoError({ code: 11000, errorLabels: ['RetryableWriteError'] }))
+    expect(e.retryable).to.be.true()
+  })
+
+  it('should report untranslatable errors labeled as retryable writes as retryable without modifying them', function () {
+    const e = Object.freeze(mongoError({ code: 2, errorLabels: ['RetryableWriteError'] }))
+
+    expect(translateMongoError(e)).to.equal(e)
+    expect(translateMongoError.isRetryable(e)).to.be.true()
+    expect(e).to.not.have.property('retryable')
+
+    expect(translateMongoError.isRetryable(mongoError({ code: 2 }))).to.be.false()
+    expect(translateMongoError.isRetryable(mongoError({ code: 11000, errorLabels: ['RetryableWriteError'] }))).to.be.true()
+    expect(translateMongoError.isRetryable(mongoError({ code: 50 }))).to.be.false()
+    expect(translateMongoError.isRetryable(null)).to.be.false()
+    expect(translateMongoError(null)).to.be.null()
+  })
+
+  it('should pass through untranslatable & already translated errors', function () {
+    const untranslatable = mongoError({ code: 2 })
+    expect(translateMongoError(untranslatable)).to.equal(untranslatable)
+    expect(untranslatable).to.not.have.property('retryable')
+
+    const translated = translateMongoError(mongoError({ code: 11000 }))
+    expect(translateMongoError(translated)).to.equal(translated)
+  })
+
+  it('should include given constructor arguments', function () {
+    const e = translateMongoError(mongoError({ code: 121 }), { message: 'invalid thing', info: { id: 1 } })
+
+    expect(e.message).to.include('invalid thing')
+    expect(e.info).to.deep.equal({ rule: null, id: 1 })
+  })
+})
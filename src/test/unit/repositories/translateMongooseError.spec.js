@@ -0,0 +1,56 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const mongoose = require('mongoose')
+const translateMongooseError = require('../../../main/repositories/translateMongooseError')
+const {
+  DocumentValidationError,
+  ObjectNotFoundError,
+  OptimisticLockViolationError,
+  UniqueKeyViolationError,
+  ValueCastError
+} = require('../../../main/errors')
+
+describe('unit tests of translateMongooseError', function () {
+  it('should translate validation errors with the failing paths', function () {
+    const cause = new mongoose.Error.ValidationError()
+    cause.addError('name', new mongoose.Error.ValidatorError({ path: 'name', message: 'name required', type: 'required' }))
+
+    const e = translateMongooseError(cause)
+
+    expect(e).to.be.an.instanceOf(DocumentValidationError)
+    expect(e.cause).to.equal(cause)
+    expect(e.retryable).to.be.false()
+    expect(e.info.errors).to.deep.equal({ name: { kind: 'required', message: 'name required', value: undefined } })
+  })
+
+  it('should translate cast errors with the path & value', function () {
+    const e = translateMongooseError(new mongoose.Error.CastError('ObjectId', 'x', '_id'))
+
+    expect(e).to.be.an.instanceOf(ValueCastError)
+    expect(e.info).to.deep.equal({ path: '_id', kind: 'ObjectId', value: 'x' })
+  })
+
+  it('should translate missing documents & version conflicts', function () {
+    expect(translateMongooseError(Object.assign(new Error(), { name: 'DocumentNotFoundError' }))).to.be.an.instanceOf(ObjectNotFoundError)
+    expect(translateMongooseError(Object.assign(new Error(), { name: 'VersionError' }))).to.be.an.instanceOf(OptimisticLockViolationError)
+  })
+
+  it('should defer to translateMongoError for driver errors', function () {
+    const cause = Object.assign(new Error('E11000 duplicate key error index: _id_ dup key: { _id: "x" }'), { name: 'MongoError', code: 11000 })
+
+    expect(translateMongooseError(cause)).to.be.an.instanceOf(UniqueKeyViolationError)
+  })
+
+  it('should pass through untranslatable & already translated errors', function () {
+    const untranslatable = new Error('boom')
+    expect(translateMongooseError(untranslatable)).to.equal(untranslatable)
+
+    const translated = new ValueCastError()
+    expect(translateMongooseError(translated)).to.equal(translated)
+  })
+})
@@ -0,0 +1,156 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('chai-as-promised'))
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { Decimal128 } = require('mongodb')
+const { traits } = require('@ballistagroup/mutrait')
+const Enumeration = require('@ballistagroup/enum-support')
+const { IllegalArgumentError } = require('@ballistagroup/error-support')
+const { InMemoryRepository } = require('../../../main/repositories')
+const { EntityMapping } = require('../../../main/traits')
+const { converters } = require('../../../main/mapping')
+const { ObjectNotFoundError } = require('../../../main/errors')
+
+const Status = Enumeration.new({ name: 'Status', values: ['ACTIVE', 'SUSPENDED'] })
+
+class Address {
+  get city () { return this._city }
+}
+
+class Customer {
+  constructor ({ id, name } = {}) {
+    this.constructed = true
+    this._id = id
+    this._name = name
+  }
+}
+
+class CustomerRepository extends traits(InMemoryRepository, EntityMapping) {
+  _type = Customer
+  _mapping = {
+    _name: 'name',
+    _since: { converter: converters.date() },
+    _balance: { field: 'balance', converter: converters.decimal128() },
+    _status: { converter: converters.enumeration(Status) },
+    _address: { type: Address, mapping: { _street: 'street', _city: 'city' } },
+    _aliases: { array: true, mapping: { _name: 'name' } },
+    _visits: { array: true, converter: converters.date() }
+  }
+}
+
+const newCustomer = () => Object.assign(new Customer({ id: 'c1', name: 'Alice' }), {
+  _since: '2020-01-02T03:04:05.000Z',
+  _balance: 12.34,
+  _status: Status.ACTIVE,
+  _address: Object.assign(new Address(), { _street: '1 Main St', _city: 'Springfield' }),
+  _aliases: [{ _name: 'Al' }],
+  _visits: [new Date('2020-02-01')],
+  _unmapped: 'ignored'
+})
+
+describe('unit tests of EntityMapping', function () {
+  it('should convert entities to documents', function () {
+    const doc = new CustomerRepository()._entityToDoc(newCustomer())
+
+    expect(Object.keys(doc)).to.have.members(['_id', 'name', '_since', 'balance', '_status', '_address', '_aliases', '_visits'])
+    expect(doc.name).to.equal('Alice')
+    expect(doc._since).to.deep.equal(new Date('2020-01-02T03:04:05.000Z'))
+    expect(doc.balance).to.be.an.instanceOf(Decimal128)
+    expect(doc.balance.toString()).to.equal('12.34')
+    expect(doc._status).to.equal('ACTIVE')
+    expect(doc._address).to.deep.equal({ street: '1 Main St', city: 'Springfield' })
+    expect(doc._aliases).to.deep.equal([{ name: 'Al' }])
+    expect(doc._visits).to.deep.equal([new Date('2020-02-01')])
+  })
+
+  it('should convert documents to entities without calling constructors', function () {
+    const repo = new CustomerRepository()
+    const entity = repo._docToEntity(repo._entityToDoc(newCustomer()))
+
+    expect(entity).to.be.an.instanceOf(Customer)
+    expect(entity.constructed).to.be.undefined()
+    expect(entity._id).to.equal('c1')
+    expect(entity._balance).to.equal(12.34)
+    expect(entity._status).to.equal(Status.ACTIVE)
+    expect(entity._address).to.be.an.instanceOf(Address)
+    expect(entity._address.city).to.equal('Springfield')
+    expect(entity._aliases).to.deep.equal([{ _name: 'Al' }])
+    expect(entity._unmapped).to.be.undefined()
+  })
+
+  it('should write nullish properties as null', function () {
+    const doc = new CustomerRepository()._entityToDoc(new Customer({ id: 'c1' }))
+
+    expect(doc).to.deep.include({ _id: 'c1', name: null, balance: null, _address: null })
+    expect(new CustomerRepository()._entityToDoc(new Customer())).to.not.have.property('_id')
+  })
+
+  it('should read null fields as undefined', function () {
+    const repo = new CustomerRepository()
+    const customer = Object.assign(new Customer({ id: 'c1' }), { _since: undefined })
+
+    const it = repo._docToEntity(repo._entityToDoc(customer))
+    expect(it).to.have.property('_name', undefined)
+    expect(it).to.have.property('_since', undefined)
+    expect(it).to.have.property('_address', undefined)
+  })
+
+  it('should clear properties when updating', async function () {
+    const repo = new CustomerRepository()
+    const customer = await repo.insert(newCustomer())
+
+    customer._address = null
+    customer._balance = undefined
+    await repo.update(customer)
+
+    const found = await repo.getById('c1')
+    expect(found._address).to.be.undefined()
+    expect(found._balance).to.be.undefined()
+    expect(found._name).to.equal('Alice')
+  })
+
+  it('should insert, update, upsert, find & get typed entities', async function () {
+    const repo = new CustomerRepository()
+
+    const customer = await repo.insert(newCustomer())
+    expect(customer).to.be.an.instanceOf(Customer)
+
+    customer._name = 'Alicia'
+    await repo.update(customer)
+    expect((await repo.getById('c1'))._name).to.equal('Alicia')
+
+    await repo.upsert(new Customer({ id: 'c2', name: 'Bob' }))
+    expect((await repo.findById('c2'))._name).to.equal('Bob')
+
+    expect(await repo.findById('missing')).to.be.null()
+    await expect(repo.getById('missing')).to.be.rejectedWith(ObjectNotFoundError)
+  })
+
+  it('should read back the _id generated when inserting', async function () {
+    const customer = await new CustomerRepository().insert(new Customer({ name: 'Carol' }))
+    expect(customer._id).to.be.ok()
+  })
+
+  it('should require entities of the repository\'s type', async function () {
+    await expect(new CustomerRepository().insert({ _id: 'c1' })).to.be.rejectedWith(IllegalArgumentError)
+  })
+
+  it('should reject invalid mappings', function () {
+    const repo = new CustomerRepository()
+
+    repo._mapping = { _name: 42 }
+    expect(() => repo._entityToDoc(newCustomer())).to.throw(IllegalArgumentError)
+
+    repo._mapping = { _name: { converter: {} } }
+    expect(() => repo._entityToDoc(newCustomer())).to.throw(IllegalArgumentError)
+  })
+
+  it('should convert decimals as strings to preserve precision', function () {
+    const converter = converters.decimal128({ numeric: false })
+    expect(converter.toEntity(converter.toDoc('0.1000000000000000000001'))).to.equal('0.1000000000000000000001')
+  })
+})